@@ -1,6 +1,79 @@
 const { spawn } = require('child_process');
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { createRenderError } = require('./render-errors');
+const { transcription } = require('./transcription');
+const { toAss, cuesToAss, cuesToSrt, resolveCaptionTemplate } = require('./captions');
+const { mapCuesToEdit } = require('./subtitles');
+const smartCrop = require('./smart-crop');
+const targetLength = require('./target-length');
+const thumbnails = require('./thumbnails');
+const previews = require('./previews');
+const stabilization = require('./stabilization');
+const brandOverlay = require('./brand-overlay');
+const luts = require('./luts');
+const { PLATFORM_PROFILES, MAX_UPSCALE_FACTOR, REFRAME_MODES, resolvePlatformProfile, needsReframe, getOutputSize, getSourceDimensions, parseAspect } = require('./platform-profiles');
+
+// Each render gets its own directory under the scratch root for intermediate files
+const SCRATCH_ROOT = process.env.RENDER_SCRATCH_DIR || path.join(os.tmpdir(), 'editquick-scratch');
+// Workspace names start with <host>-<pid>- so a shared scratch root is only swept by the host that owns each workspace
+const WORKSPACE_HOST = os.hostname().replace(/[^a-zA-Z0-9]/g, '_');
+
+// Free space needed before a render starts, as a multiple of the input size
+// (scratch holds the styled, cut and captioned intermediates; the output dir holds the final file)
+const SCRATCH_SPACE_FACTOR = Number(process.env.RENDER_SCRATCH_SPACE_FACTOR) || 3;
+const OUTPUT_SPACE_FACTOR = 1.5;
+
+// Scene detection tuning: FFmpeg scene score (0..1) that counts as a cut, silence level,
+// and the shortest scene we report
+const SCENE_CHANGE_THRESHOLD = Number(process.env.SCENE_CHANGE_THRESHOLD) || 0.3;
+const SILENCE_NOISE_DB = -50;
+const SILENCE_MIN_SECONDS = 0.25;
+const MIN_SCENE_SECONDS = 0.5;
+
+// Jump cuts: pauses shorter than this (at medium intensity) are kept, and this much
+// of each pause is left around the speech so words aren't clipped
+const JUMP_CUT_MIN_SILENCE = (Number(process.env.JUMP_CUT_MIN_SILENCE_MS) || 600) / 1000;
+const JUMP_CUT_PADDING = (Number(process.env.JUMP_CUT_PADDING_MS) || 150) / 1000;
+
+// Styles that get silence-removal jump cuts
+const JUMP_CUT_STYLES = ['mrbeast', 'cinematic', 'vlog', 'podcast'];
+
+// Styles whose audio always gets voice cleanup (other styles opt in with the audio-enhancement effect)
+const VOICE_CLEANUP_STYLES = ['podcast'];
+// Length of the before/after snippets saved for comparison
+const VOICE_SNIPPET_SECONDS = 10;
+
+// Loudness range (LU) allowed by loudness normalization; the integrated and true-peak targets come from the platform profile
+// (or the style, see STYLE_LOUDNESS)
+const LOUDNESS_RANGE = 11;
+
+// Workspaces owned by this process, removed on exit if a render is still running
+const activeWorkspaces = new Set();
+process.on('exit', () => {
+    activeWorkspaces.forEach((dir) => {
+        try {
+            fs.removeSync(dir);
+        } catch (_) {}
+    });
+});
+
+// Relative share of the render time each pipeline stage takes (used for overall progress)
+const STAGE_WEIGHTS = {
+    stabilize: 30,
+    reframe: 20,
+    style: 35,
+    jumpCuts: 20,
+    targetLength: 20,
+    voiceCleanup: 10,
+    captions: 15,
+    overlay: 15,
+    watermark: 10,
+    loudness: 10,
+    optimize: 30
+};
 
 class AIVideoProcessor {
     constructor() {
@@ -18,6 +91,64 @@ class AIVideoProcessor {
         } catch (e) {
             this.ffprobePath = 'ffprobe';
         }
+        this.scratchRoot = SCRATCH_ROOT;
+    }
+
+    // Create a unique scratch directory; the name starts with our host and pid so the sweeper can tell who owns it
+    async createWorkspace(label = 'render') {
+        const safeLabel = String(label).replace(/[^a-zA-Z0-9-]/g, '_');
+        const dir = path.join(this.scratchRoot, `${WORKSPACE_HOST}-${process.pid}-${safeLabel}-${uuidv4()}`);
+        await fs.ensureDir(dir);
+        activeWorkspaces.add(dir);
+        return dir;
+    }
+
+    // Remove a scratch directory created by createWorkspace
+    async removeWorkspace(dir) {
+        activeWorkspaces.delete(dir);
+        await fs.remove(dir).catch((error) => {
+            console.warn(`Could not remove scratch workspace ${dir}:`, error.message);
+        });
+    }
+
+    // Remove this host's workspaces left behind by processes that are no longer running (e.g. after a crash);
+    // other hosts' workspaces are left alone, their pids mean nothing here
+    async sweepWorkspaces() {
+        if (!(await fs.pathExists(this.scratchRoot))) return 0;
+
+        const entries = await fs.readdir(this.scratchRoot);
+        let removed = 0;
+        for (const entry of entries) {
+            if (!entry.startsWith(`${WORKSPACE_HOST}-`)) continue;
+            const pid = parseInt(entry.slice(WORKSPACE_HOST.length + 1).split('-')[0], 10);
+            if (pid === process.pid || (pid && isProcessAlive(pid))) continue;
+            await fs.remove(path.join(this.scratchRoot, entry)).catch(() => {});
+            removed++;
+        }
+        if (removed > 0) {
+            console.log(`🧹 Removed ${removed} orphaned scratch workspace(s) from ${this.scratchRoot}`);
+        }
+        return removed;
+    }
+
+    // Fail fast with DISK_FULL when there is clearly not enough room for this render
+    async checkDiskSpace(inputPath, outputPath) {
+        const { size } = await fs.stat(inputPath);
+        await fs.ensureDir(this.scratchRoot);
+
+        const checks = [
+            { dir: this.scratchRoot, needed: size * SCRATCH_SPACE_FACTOR },
+            { dir: path.dirname(outputPath), needed: size * OUTPUT_SPACE_FACTOR }
+        ];
+        for (const { dir, needed } of checks) {
+            const available = await getFreeBytes(dir);
+            if (available !== null && available < needed) {
+                throw createRenderError(
+                    'DISK_FULL',
+                    `Not enough disk space in ${dir}: ${formatMB(available)} free, ${formatMB(needed)} needed`
+                );
+            }
+        }
     }
 
     // Check if FFmpeg is available
@@ -59,71 +190,188 @@ class AIVideoProcessor {
                         const info = JSON.parse(output);
                         resolve(info);
                     } catch (e) {
-                        reject(new Error('Failed to parse video info'));
+                        reject(createRenderError('CORRUPT_INPUT', 'Failed to parse video info'));
                     }
                 } else {
-                    reject(new Error(`FFprobe failed: ${error}`));
+                    const failure = new Error(`FFprobe failed: ${error}`);
+                    failure.stderr = error;
+                    failure.exitCode = code;
+                    reject(failure);
                 }
             });
+
+            ffprobe.on('error', (err) => {
+                reject(createRenderError('SPAWN_FAILED', `Failed to start ffprobe: ${err.message}`, err));
+            });
         });
     }
 
-    // AI Scene Detection using audio analysis
-    async detectScenes(videoPath, outputPath) {
-        const scenes = [];
-        
+    // Duration in seconds (0 if it cannot be read)
+    async getDuration(videoPath) {
         try {
-            // Extract audio for analysis
-            const audioPath = path.join(path.dirname(outputPath), 'temp_audio.wav');
-            
-            // Extract audio
-            await this.runCommand(this.ffmpegPath, [
-                '-i', videoPath,
-                '-vn', '-acodec', 'pcm_s16le',
-                '-ar', '44100',
-                '-ac', '1',
-                audioPath
-            ]);
+            const info = await this.getVideoInfo(videoPath);
+            return parseFloat(info.format.duration) || 0;
+        } catch (error) {
+            return 0;
+        }
+    }
 
-            // Analyze audio for silence detection (scene changes often have silence)
-            const silenceInfo = await this.runCommand(this.ffmpegPath, [
-                '-i', audioPath,
-                '-af', 'silencedetect=noise=-50dB:d=0.5',
-                '-f', 'null', '-'
-            ]);
+    // AI Scene Detection: visual shot changes merged with audio silences
+    // Returns { duration, scenes, silences, shotChanges }; each scene carries a 0..1 confidence
+    // for the boundary that starts it
+    async detectScenes(videoPath, options = {}) {
+        const { signal, onProgress } = options;
+        const threshold = options.threshold || SCENE_CHANGE_THRESHOLD;
 
-            // Parse silence detection output to find scene boundaries
-            const silenceMatches = silenceInfo.match(/silence_start: (\d+\.?\d*)/g);
-            const silenceEndMatches = silenceInfo.match(/silence_end: (\d+\.?\d*)/g);
-
-            if (silenceMatches && silenceEndMatches) {
-                for (let i = 0; i < silenceMatches.length; i++) {
-                    const start = parseFloat(silenceMatches[i].split(': ')[1]);
-                    const end = parseFloat(silenceEndMatches[i].split(': ')[1]);
-                    
-                    if (end - start > 0.5) { // Only consider significant silences
-                        scenes.push({
-                            start: start,
-                            end: end,
-                            duration: end - start
-                        });
-                    }
-                }
+        const info = await this.getVideoInfo(videoPath);
+        const duration = parseFloat(info.format.duration) || 0;
+        const hasAudio = (info.streams || []).some(stream => stream.codec_type === 'audio');
+
+        // The visual pass decodes every frame, so it gets most of the progress range
+        const visualShare = hasAudio ? 0.7 : 1;
+        const report = (offset, share) => (fraction) => {
+            if (onProgress) onProgress(offset + fraction * share);
+        };
+
+        const shotChanges = await this.detectShotChanges(videoPath, threshold, {
+            signal,
+            duration,
+            onProgress: report(0, visualShare)
+        });
+        const silences = hasAudio
+            ? await this.detectSilences(videoPath, { signal, duration, onProgress: report(visualShare, 1 - visualShare) })
+            : [];
+
+        return {
+            duration,
+            scenes: this.mergeSceneBoundaries(shotChanges, silences, duration),
+            silences,
+            shotChanges
+        };
+    }
+
+    // Shot boundaries from FFmpeg's scene score: [{ time, score }]
+    async detectShotChanges(videoPath, threshold, options = {}) {
+        // Scores are just as reliable on a small frame and much cheaper to compute
+        const stderr = await this.runCommand(this.ffmpegPath, [
+            '-i', videoPath,
+            '-an',
+            '-vf', `scale=320:-2,select='gt(scene,${threshold})',metadata=print`,
+            '-f', 'null', '-'
+        ], { ...options, captureStderr: true });
+
+        const changes = [];
+        let time = null;
+        stderr.split('\n').forEach((line) => {
+            const timeMatch = line.match(/pts_time:(\d+\.?\d*)/);
+            if (timeMatch) {
+                time = parseFloat(timeMatch[1]);
+                return;
+            }
+            const scoreMatch = line.match(/lavfi\.scene_score=(\d+\.?\d*)/);
+            if (scoreMatch && time !== null) {
+                changes.push({ time, score: parseFloat(scoreMatch[1]) });
+                time = null;
             }
+        });
+        return changes;
+    }
 
-            // Clean up temp audio
-            await fs.remove(audioPath);
+    // Silent ranges from FFmpeg's silencedetect: [{ start, end, duration }]
+    async detectSilences(videoPath, options = {}) {
+        const noise = options.noise || SILENCE_NOISE_DB;
+        const minDuration = options.minDuration || SILENCE_MIN_SECONDS;
 
-            return scenes;
-        } catch (error) {
-            console.error('Scene detection failed:', error);
-            return [];
+        // silencedetect logs to stderr
+        const stderr = await this.runCommand(this.ffmpegPath, [
+            '-i', videoPath,
+            '-vn',
+            '-af', `silencedetect=noise=${noise}dB:d=${minDuration}`,
+            '-f', 'null', '-'
+        ], { ...options, captureStderr: true });
+
+        const silences = [];
+        let start = null;
+        stderr.split('\n').forEach((line) => {
+            const startMatch = line.match(/silence_start: (-?\d+\.?\d*)/);
+            if (startMatch) {
+                start = Math.max(parseFloat(startMatch[1]), 0);
+                return;
+            }
+            const endMatch = line.match(/silence_end: (\d+\.?\d*)/);
+            if (endMatch && start !== null) {
+                const end = parseFloat(endMatch[1]);
+                silences.push({ start: round(start), end: round(end), duration: round(end - start) });
+                start = null;
+            }
+        });
+
+        // Silence running to the end of the file has no silence_end line
+        if (start !== null && options.duration > start) {
+            silences.push({ start: round(start), end: round(options.duration), duration: round(options.duration - start) });
         }
+        return silences;
+    }
+
+    // Merge visual and audio boundaries into one scene list
+    mergeSceneBoundaries(shotChanges, silences, duration) {
+        const candidates = [
+            ...shotChanges.map(change => ({
+                time: change.time,
+                confidence: Math.min(change.score, 1),
+                sources: ['visual']
+            })),
+            // A pause in the audio marks a boundary at its midpoint; longer pauses are more likely to be scene breaks.
+            // Leading and trailing silence is not a boundary.
+            ...silences.filter(silence => silence.duration >= MIN_SCENE_SECONDS && silence.start > 0 && (!duration || silence.end < duration)).map(silence => ({
+                time: (silence.start + silence.end) / 2,
+                confidence: Math.min(silence.duration / 2, 1),
+                sources: ['audio']
+            }))
+        ]
+            .filter(boundary => boundary.time >= MIN_SCENE_SECONDS && (!duration || boundary.time <= duration - MIN_SCENE_SECONDS))
+            .sort((a, b) => a.time - b.time);
+
+        // Boundaries closer than MIN_SCENE_SECONDS describe the same cut
+        const boundaries = [];
+        candidates.forEach((candidate) => {
+            const previous = boundaries[boundaries.length - 1];
+            if (!previous || candidate.time - previous.time >= MIN_SCENE_SECONDS) {
+                boundaries.push({ ...candidate });
+                return;
+            }
+            // Prefer the exact visual cut time; evidence from both detectors raises the confidence
+            if (candidate.sources[0] === 'visual' && !previous.sources.includes('visual')) {
+                previous.time = candidate.time;
+            }
+            previous.confidence = 1 - (1 - previous.confidence) * (1 - candidate.confidence);
+            previous.sources = [...new Set([...previous.sources, ...candidate.sources])];
+        });
+
+        const starts = [{ time: 0, confidence: 1, sources: ['start'] }, ...boundaries];
+        return starts.map((boundary, index) => {
+            const end = index + 1 < starts.length ? starts[index + 1].time : duration;
+            return {
+                index,
+                start: round(boundary.time),
+                end: round(end),
+                duration: round(end - boundary.time),
+                confidence: round(boundary.confidence),
+                sources: boundary.sources
+            };
+        });
     }
 
     // Apply AI-powered editing style
-    async applyStyle(videoPath, outputPath, style, intensity) {
+    // options.colorGrading = { lutPath, strength } grades with a 3D LUT instead of the style's levels and contrast
+    async applyStyle(videoPath, outputPath, style, intensity, options = {}) {
         const styleConfig = this.getStyleConfig(style, intensity);
+        if (options.colorGrading) {
+            styleConfig.lut = {
+                path: options.colorGrading.lutPath,
+                strength: luts.getLutStrength(options.colorGrading.strength, styleConfig.intensity)
+            };
+        }
         
         try {
             // Apply the style using FFmpeg filters
@@ -135,7 +383,7 @@ class AIVideoProcessor {
                 '-c:a', 'copy',
                 '-preset', 'medium',
                 outputPath
-            ]);
+            ], options);
 
             return true;
         } catch (error) {
@@ -193,14 +441,20 @@ class AIVideoProcessor {
     buildStyleFilters(styleConfig) {
         const filters = [];
 
-        // Apply color grading
-        if (styleConfig.colorGrading) {
-            filters.push(styleConfig.colorGrading);
-        }
+        if (styleConfig.lut) {
+            // LUT grading replaces the levels and contrast; the graded copy is blended over the original
+            // (blend weights its first input by the opacity, so strength 1 is the fully graded frame)
+            filters.push(`split[ungraded][tograde];[tograde]lut3d=file=${escapeFilterPath(styleConfig.lut.path)}:interp=tetrahedral[graded];[graded][ungraded]blend=all_mode=normal:all_opacity=${styleConfig.lut.strength}`);
+        } else {
+            // Apply color grading
+            if (styleConfig.colorGrading) {
+                filters.push(styleConfig.colorGrading);
+            }
 
-        // Apply contrast and brightness adjustments
-        if (styleConfig.contrast) {
-            filters.push(styleConfig.contrast);
+            // Apply contrast and brightness adjustments
+            if (styleConfig.contrast) {
+                filters.push(styleConfig.contrast);
+            }
         }
 
         // Apply sharpness
@@ -208,8 +462,8 @@ class AIVideoProcessor {
             filters.push(styleConfig.sharpness);
         }
 
-        // Apply intensity-based adjustments
-        if (styleConfig.intensity !== 1.0) {
+        // Apply intensity-based adjustments (a LUT's strength already follows the intensity)
+        if (styleConfig.intensity !== 1.0 && !styleConfig.lut) {
             filters.push(`eq=contrast=${1 + (styleConfig.intensity - 1) * 0.3}:saturation=${1 + (styleConfig.intensity - 1) * 0.2}`);
         }
 
@@ -221,203 +475,1341 @@ class AIVideoProcessor {
         return filters.join(',');
     }
 
-    // AI-powered jump cut detection and application
-    async applyJumpCuts(videoPath, outputPath, style) {
+    // Silence-removal jump cuts: keep the speech ranges and cut the pauses between them
+    // options.jumpCuts = { padding, minSilence } (seconds) overrides the defaults; minSilence shrinks as intensity rises.
+    // Resolves with the kept source ranges, or null if the video was left uncut.
+    async applyJumpCuts(videoPath, outputPath, style, intensity, options = {}) {
         try {
-            // Detect scenes for jump cuts
-            const scenes = await this.detectScenes(videoPath, outputPath);
-            
-            if (scenes.length === 0) {
-                // No scenes detected, return original
+            // Analysis takes the first 40% of this stage's progress, the cut the rest
+            const report = (offset, share) => (fraction) => {
+                if (options.onProgress) options.onProgress(offset + fraction * share);
+            };
+
+            // options.loadScenes lets the caller supply (and store) the project's scene analysis
+            const sceneOptions = { signal: options.signal, onProgress: report(0, 0.4) };
+            const analysis = options.loadScenes
+                ? await options.loadScenes(sceneOptions)
+                : await this.detectScenes(videoPath, sceneOptions);
+
+            const settings = this.getJumpCutSettings(style, intensity, options.jumpCuts);
+            const keepRanges = this.getKeepRanges(analysis.silences, analysis.duration, settings);
+
+            if (!keepRanges) {
+                // Nothing worth cutting, return original
                 await fs.copy(videoPath, outputPath);
-                return;
+                return null;
             }
 
-            // Create complex filter for jump cuts
-            const filterComplex = this.buildJumpCutFilter(scenes, style);
-            
-            await this.runCommand(this.ffmpegPath, [
-                '-i', videoPath,
-                '-filter_complex', filterComplex,
-                '-c:a', 'copy',
-                '-preset', 'fast',
-                outputPath
-            ]);
+            console.log(`✂️ Keeping ${keepRanges.length} speech ranges (min silence ${settings.minSilence}s, padding ${settings.padding}s)`);
+
+            await this.cutToRanges(videoPath, outputPath, keepRanges, true, { ...options, onProgress: report(0.4, 0.6) });
 
+            return keepRanges;
         } catch (error) {
+            if (this.isCancelled(error)) throw error;
             console.error('Jump cut application failed:', error);
             // Fallback to original video
             await fs.copy(videoPath, outputPath);
+            return null;
         }
     }
 
-    // Build complex filter for jump cuts
-    buildJumpCutFilter(scenes, style) {
-        const inputs = [];
-        const outputs = [];
-        let filterString = '';
+    // Minimum pause to cut and padding left around speech, in seconds
+    getJumpCutSettings(style, intensity, overrides = {}) {
+        const intensityMultipliers = {
+            light: 0.5,
+            medium: 1.0,
+            high: 1.5,
+            extreme: 2.0
+        };
+
+        // MrBeast style cuts more aggressively
+        const styleFactor = style === 'mrbeast' ? 0.75 : 1;
+        const multiplier = intensityMultipliers[intensity] || 1.0;
+
+        return {
+            minSilence: Number(overrides.minSilence) || round(Math.max(JUMP_CUT_MIN_SILENCE * styleFactor / multiplier, SILENCE_MIN_SECONDS)),
+            padding: overrides.padding !== undefined && overrides.padding !== null ? Math.max(Number(overrides.padding) || 0, 0) : JUMP_CUT_PADDING
+        };
+    }
+
+    // Voice cleanup strength for an intensity: high-pass cutoff (Hz), spectral noise reduction (dB),
+    // de-esser strength (0..1) and compressor threshold (dB) and ratio
+    getVoiceCleanupSettings(intensity) {
+        const intensityMultipliers = {
+            light: 0.5,
+            medium: 1.0,
+            high: 1.5,
+            extreme: 2.0
+        };
+        const multiplier = intensityMultipliers[intensity] || 1.0;
+
+        return {
+            highpass: Math.round(60 + 20 * multiplier),
+            noiseReduction: Math.round(4 + 8 * multiplier),
+            deess: round(Math.min(0.15 + 0.25 * multiplier, 1)),
+            compressorThreshold: -20,
+            compressorRatio: round(1.5 + multiplier)
+        };
+    }
+
+    // Rumble and hum below the voice first, then broadband noise (afftdn tracks it as it changes),
+    // sibilance, and a gentle compressor to even out the level
+    buildVoiceCleanupFilter(settings) {
+        return [
+            `highpass=f=${settings.highpass}`,
+            `afftdn=nr=${settings.noiseReduction}:tn=1`,
+            `deesser=i=${settings.deess}`,
+            `acompressor=threshold=${settings.compressorThreshold}dB:ratio=${settings.compressorRatio}:attack=20:release=250`
+        ].join(',');
+    }
+
+    // Clean up speech in the audio track (the video stream is copied). options.snippetDir receives
+    // voice-before.m4a and voice-after.m4a, the same stretch of audio before and after cleanup.
+    // Resolves with the settings used and snippet { start, duration, before, after } (null without snippetDir).
+    async cleanupVoice(videoPath, outputPath, intensity, options = {}) {
+        const { signal, duration, onProgress } = options;
+        const report = (offset, share) => (fraction) => {
+            if (onProgress) onProgress(offset + fraction * share);
+        };
+        const settings = this.getVoiceCleanupSettings(intensity);
+
+        await this.runCommand(this.ffmpegPath, [
+            '-i', videoPath,
+            '-c:v', 'copy',
+            '-af', this.buildVoiceCleanupFilter(settings),
+            '-c:a', 'aac',
+            '-b:a', '192k',
+            outputPath
+        ], { signal, duration, onProgress: report(0, 0.9) });
+
+        let snippet = null;
+        const length = Math.min(VOICE_SNIPPET_SECONDS, duration || 0);
+        if (options.snippetDir && length > 0) {
+            // A stretch from the first third, where speech has usually settled in
+            const start = round(Math.max(Math.min(duration * 0.3, duration - length), 0));
+            await fs.ensureDir(options.snippetDir);
+            for (const [file, source] of [['voice-before.m4a', videoPath], ['voice-after.m4a', outputPath]]) {
+                await this.runCommand(this.ffmpegPath, [
+                    '-ss', String(start),
+                    '-t', String(length),
+                    '-i', source,
+                    '-vn',
+                    '-c:a', 'aac',
+                    '-b:a', '128k',
+                    '-y',
+                    path.join(options.snippetDir, file)
+                ], { signal });
+            }
+            snippet = { start, duration: round(length), before: 'voice-before.m4a', after: 'voice-after.m4a' };
+            report(0.9, 0.1)(1);
+        }
+
+        return { intensity, ...settings, snippet };
+    }
+
+    // Invert silences into the ranges to keep, or null if no pause is long enough to cut
+    getKeepRanges(silences, duration, { minSilence, padding }) {
+        // Pad each pause on both sides so words aren't clipped
+        const cuts = silences
+            .filter(silence => silence.duration >= minSilence)
+            .map(silence => ({
+                start: silence.start > 0 ? silence.start + padding : 0,
+                end: silence.end < duration ? silence.end - padding : duration
+            }))
+            .filter(cut => cut.end - cut.start > 0);
 
-        // For MrBeast style, create more aggressive cuts
-        const cutThreshold = style === 'mrbeast' ? 0.3 : 0.5;
+        if (cuts.length === 0) {
+            return null;
+        }
 
-        scenes.forEach((scene, index) => {
-            if (scene.duration > cutThreshold) {
-                inputs.push(`[0:v]trim=start=${scene.start}:end=${scene.end},setpts=PTS-STARTPTS[v${index}]`);
-                outputs.push(`[v${index}]`);
+        const ranges = [];
+        let position = 0;
+        cuts.forEach((cut) => {
+            if (cut.start > position) {
+                ranges.push({ start: round(position), end: round(cut.start) });
             }
+            position = Math.max(position, cut.end);
         });
+        if (position < duration) {
+            ranges.push({ start: round(position), end: round(duration) });
+        }
 
-        if (outputs.length > 0) {
-            filterString = inputs.join(';') + ';' + outputs.join('') + `concat=n=${outputs.length}:v=1:a=0[outv]`;
-        } else {
-            filterString = '[0:v]copy[outv]';
+        // Drop slivers too short to play
+        const kept = ranges.filter(range => range.end - range.start >= 0.1);
+        return kept.length > 0 ? kept : null;
+    }
+
+    // Build complex filter that trims video and audio to the same ranges and joins them
+    buildJumpCutFilter(keepRanges, hasAudio = true) {
+        const segments = [];
+        const inputs = [];
+
+        keepRanges.forEach((range, index) => {
+            segments.push(`[0:v]trim=start=${range.start}:end=${range.end},setpts=PTS-STARTPTS[v${index}]`);
+            if (hasAudio) {
+                segments.push(`[0:a]atrim=start=${range.start}:end=${range.end},asetpts=PTS-STARTPTS[a${index}]`);
+            }
+            inputs.push(hasAudio ? `[v${index}][a${index}]` : `[v${index}]`);
+        });
+
+        return segments.join(';') + ';' + inputs.join('') + `concat=n=${keepRanges.length}:v=1:a=${hasAudio ? 1 : 0}[outv]${hasAudio ? '[outa]' : ''}`;
+    }
+
+    // Keep only `ranges` of the video, joined in order
+    async cutToRanges(videoPath, outputPath, ranges, hasAudio, options = {}) {
+        const keptSeconds = ranges.reduce((sum, range) => sum + range.end - range.start, 0);
+
+        await this.runCommand(this.ffmpegPath, [
+            '-i', videoPath,
+            '-filter_complex', this.buildJumpCutFilter(ranges, hasAudio),
+            '-map', '[outv]',
+            ...(hasAudio ? ['-map', '[outa]'] : []),
+            '-c:v', 'libx264',
+            '-preset', 'fast',
+            ...(hasAudio ? ['-c:a', 'aac', '-b:a', '192k'] : []),
+            outputPath
+        ], { ...options, duration: keptSeconds });
+    }
+
+    // Cut the edit down to targetSeconds by keeping its best segments (see target-length.js)
+    // options.boundaries are scene boundaries [{ time, confidence }] on this video's timeline.
+    // Resolves with { targetSeconds, duration, tolerance, segments }, or null if the video already fits.
+    async applyTargetLength(videoPath, outputPath, targetSeconds, options = {}) {
+        const { signal, onProgress } = options;
+        const report = (offset, share) => (fraction) => {
+            if (onProgress) onProgress(offset + fraction * share);
+        };
+
+        const info = await this.getVideoInfo(videoPath);
+        const duration = parseFloat(info.format.duration) || 0;
+        if (duration <= targetSeconds + targetLength.getTolerance(targetSeconds)) {
+            console.log(`🎯 Edit is ${round(duration)}s, already within the ${targetSeconds}s target`);
+            await fs.copy(videoPath, outputPath);
+            return null;
         }
 
-        return filterString;
+        const activity = await this.measureActivity(videoPath, info, {
+            signal,
+            duration,
+            workDir: options.workDir,
+            onProgress: report(0, 0.4)
+        });
+        const segments = targetLength.scoreSegments(targetLength.buildSegments(options.boundaries || [], duration), activity);
+        const selection = targetLength.selectSegments(segments, targetSeconds);
+        console.log(`🎯 Keeping ${selection.segments.length} of ${segments.length} segments (${selection.duration}s for a ${targetSeconds}s target)`);
+
+        const hasAudio = (info.streams || []).some(stream => stream.codec_type === 'audio');
+        await this.cutToRanges(videoPath, outputPath, selection.segments, hasAudio, { signal, onProgress: report(0.4, 0.6) });
+
+        return { targetSeconds, ...selection };
     }
 
-    // Add AI-generated captions (simulated)
-    async addCaptions(videoPath, outputPath, style) {
+    // Audio level [{ time, level }] (dBFS per half second) and motion [{ time, motion }] in one decode
+    async measureActivity(videoPath, info, options = {}) {
+        const hasAudio = (info.streams || []).some(stream => stream.codec_type === 'audio');
+        const { width, height } = getSourceDimensions(info);
+        const frame = smartCrop.getAnalysisSize(width || 16, height || 9, 'x');
+        const framesPath = path.join(options.workDir, 'activity.gray');
+
+        const filters = [`[0:v]fps=${smartCrop.ANALYSIS_FPS},scale=${frame.width}:${frame.height},format=gray[motion]`];
+        if (hasAudio) {
+            filters.push('[0:a]aresample=8000,asetnsamples=n=4000:p=0,astats=metadata=1:reset=1,ametadata=mode=print:key=lavfi.astats.Overall.RMS_level,anullsink');
+        }
+
         try {
-            // For now, we'll add a simple text overlay
-            // In production, you'd integrate with OpenAI Whisper for transcription
-            const captionText = this.getStyleCaption(style);
-            
-            const filter = `drawtext=text='${captionText}':fontcolor=white:fontsize=48:box=1:boxcolor=black@0.5:boxborderw=5:x=(w-text_w)/2:y=h-th-10`;
+            // ametadata logs to stderr
+            const stderr = await this.runCommand(this.ffmpegPath, [
+                '-i', videoPath,
+                '-filter_complex', filters.join(';'),
+                '-map', '[motion]',
+                '-f', 'rawvideo',
+                '-y',
+                framesPath
+            ], { ...options, captureStderr: true });
+
+            const audio = [];
+            let time = null;
+            stderr.split('\n').forEach((line) => {
+                const timeMatch = line.match(/pts_time:(\d+\.?\d*)/);
+                if (timeMatch) {
+                    time = parseFloat(timeMatch[1]);
+                    return;
+                }
+                const levelMatch = line.match(/lavfi\.astats\.Overall\.RMS_level=(-?inf|-?\d+\.?\d*)/);
+                if (levelMatch && time !== null) {
+                    audio.push({ time, level: /inf/.test(levelMatch[1]) ? -Infinity : parseFloat(levelMatch[1]) });
+                    time = null;
+                }
+            });
+
+            const frames = await fs.readFile(framesPath);
+            const motion = smartCrop.measureMotion(frames, frame.width, frame.height, 'x')
+                .map(sample => ({ time: sample.time, motion: sample.motion }));
+
+            return { audio, motion };
+        } finally {
+            await fs.remove(framesPath).catch(() => {});
+        }
+    }
+
+    // Transcribe speech and add captions
+    // options.captions = { mode: 'burn' | 'sidecar', provider, language, overrides }; sidecar leaves the video untouched.
+    // Burned captions use the style's caption template with the project's overrides (see captions.js).
+    // options.onTranscript receives the transcript so the caller can store it (served as SRT/VTT).
+    async addCaptions(videoPath, outputPath, style, options = {}) {
+        const { signal, onProgress } = options;
+        const captions = options.captions || {};
+        const workDir = options.workDir || await this.createWorkspace('captions');
+        const report = (offset, share) => (fraction) => {
+            if (onProgress) onProgress(offset + fraction * share);
+        };
+
+        try {
+            const provider = transcription.getProvider(captions.provider);
+            const info = await this.getVideoInfo(videoPath);
+            const hasAudio = (info.streams || []).some(stream => stream.codec_type === 'audio');
+            if (!provider || !hasAudio) {
+                await fs.copy(videoPath, outputPath);
+                return null;
+            }
 
+            // Speech models expect 16kHz mono PCM
+            const audioPath = path.join(workDir, 'speech.wav');
             await this.runCommand(this.ffmpegPath, [
                 '-i', videoPath,
-                '-vf', filter,
-                '-c:a', 'copy',
-                '-preset', 'medium',
-                outputPath
-            ]);
+                '-vn', '-acodec', 'pcm_s16le',
+                '-ar', '16000',
+                '-ac', '1',
+                '-y', audioPath
+            ], { signal, duration: options.duration, onProgress: report(0, 0.2) });
+
+            console.log(`🗣️ Transcribing with ${provider.name}...`);
+            const result = await provider.transcribe(audioPath, {
+                signal,
+                language: captions.language || transcription.DEFAULT_LANGUAGE,
+                duration: parseFloat(info.format.duration) || options.duration || 0,
+                workDir,
+                runCommand: (command, args, commandOptions) => this.runCommand(command, args, commandOptions)
+            });
+            if (onProgress) onProgress(0.6);
 
+            const transcript = { provider: provider.name, language: result.language, words: result.words };
+            if (options.onTranscript) {
+                await options.onTranscript(transcript);
+            }
+
+            if (captions.mode !== 'burn' || transcript.words.length === 0) {
+                await fs.copy(videoPath, outputPath);
+                return transcript;
+            }
+
+            const template = resolveCaptionTemplate(style, captions.overrides);
+            await this.burnCaptions(videoPath, outputPath, info, workDir, template, (dimensions) => toAss(transcript.words, template, dimensions), {
+                signal,
+                duration: options.duration,
+                onProgress: report(0.6, 0.4)
+            });
+
+            return transcript;
         } catch (error) {
+            if (this.isCancelled(error)) throw error;
             console.error('Caption addition failed:', error);
             // Fallback to original video
             await fs.copy(videoPath, outputPath);
+            return null;
+        } finally {
+            if (!options.workDir) {
+                await this.removeWorkspace(workDir);
+            }
         }
     }
 
-    // Get style-specific caption text
-    getStyleCaption(style) {
-        const captions = {
-            mrbeast: '🔥 EPIC CONTENT 🔥',
-            cinematic: '🎬 CINEMATIC MASTERPIECE 🎬',
-            vlog: '📹 DAILY VLOG 📹',
-            podcast: '🎙️ PODCAST EPISODE 🎙️'
+    // Render captions to an ASS file sized for the video and burn it in; `render` builds the ASS from { width, height }
+    async burnCaptions(videoPath, outputPath, info, workDir, template, render, options = {}) {
+        const videoStream = (info.streams || []).find(stream => stream.codec_type === 'video') || {};
+        const subtitlePath = path.join(workDir, 'captions.ass');
+        await fs.writeFile(subtitlePath, render({ width: videoStream.width, height: videoStream.height }));
+        console.log(`📝 Burning captions with the ${template.name} template`);
+
+        await this.runCommand(this.ffmpegPath, [
+            '-i', videoPath,
+            '-vf', this.buildSubtitleFilter(subtitlePath),
+            '-c:a', 'copy',
+            '-preset', 'medium',
+            outputPath
+        ], options);
+    }
+
+    // Burn uploaded subtitle cues with the project's caption template
+    async burnSubtitleCues(videoPath, outputPath, cues, style, overrides, options = {}) {
+        const template = resolveCaptionTemplate(style, overrides);
+        const info = await this.getVideoInfo(videoPath);
+        await this.burnCaptions(videoPath, outputPath, info, options.workDir, template, (dimensions) => cuesToAss(cues, template, dimensions), options);
+    }
+
+    // Add subtitle cues to the MP4 as a soft (selectable) mov_text track
+    async muxSubtitles(videoPath, outputPath, cues, options = {}) {
+        const subtitlePath = path.join(options.workDir, 'subtitles.srt');
+        await fs.writeFile(subtitlePath, cuesToSrt(cues));
+
+        await this.runCommand(this.ffmpegPath, [
+            '-i', videoPath,
+            '-i', subtitlePath,
+            '-map', '0:v',
+            '-map', '0:a?',
+            '-map', '1:0',
+            '-c:v', 'copy',
+            '-c:a', 'copy',
+            '-c:s', 'mov_text',
+            '-metadata:s:s:0', `language=${options.language || 'und'}`,
+            '-movflags', '+faststart',
+            outputPath
+        ], options);
+    }
+
+    // ASS subtitle filter (CAPTION_FONTS_DIR adds fonts that aren't installed system-wide)
+    buildSubtitleFilter(subtitlePath) {
+        const fontsDir = process.env.CAPTION_FONTS_DIR;
+        return fontsDir
+            ? `ass=${escapeFilterPath(subtitlePath)}:fontsdir=${escapeFilterPath(fontsDir)}`
+            : `ass=${escapeFilterPath(subtitlePath)}`;
+    }
+
+    // Track overall progress across weighted stages and report { percent, step, etaSeconds }
+    createProgressTracker(stageNames, onProgress) {
+        const totalWeight = stageNames.reduce((sum, name) => sum + STAGE_WEIGHTS[name], 0);
+        const startedAt = Date.now();
+        let completedWeight = 0;
+
+        const report = (fraction, step) => {
+            if (!onProgress) return;
+            const overall = Math.min(fraction, 1);
+            const elapsedSeconds = (Date.now() - startedAt) / 1000;
+            const etaSeconds = overall > 0.01 ? Math.round(elapsedSeconds / overall * (1 - overall)) : null;
+            onProgress({ percent: Math.round(overall * 100), step, etaSeconds });
         };
 
-        return captions[style] || '✨ AI EDITED ✨';
+        return {
+            // Run one stage; `run` receives a callback for that stage's own 0..1 progress
+            async stage(name, step, run) {
+                const weight = STAGE_WEIGHTS[name] / totalWeight;
+                const base = completedWeight;
+                report(base, step);
+                const result = await run((fraction) => report(base + weight * Math.min(Math.max(fraction, 0), 1), step));
+                completedWeight = base + weight;
+                report(completedWeight, step);
+                return result;
+            }
+        };
     }
 
     // Main AI processing pipeline
-    async processVideo(inputPath, outputPath, style, intensity, quality) {
+    // options.signal aborts the render and kills FFmpeg; options.onProgress receives { percent, step, etaSeconds };
+    // options.jobId names the render's scratch workspace; options.loadScenes returns a detectScenes result for the input;
+    // options.jumpCuts overrides the jump cut settings; options.captions / options.onTranscript are passed to addCaptions
+    // (without options.captions nothing is transcribed);
+    // options.subtitles = { cues, mode: 'burn' | 'mux', language } uses an uploaded subtitle file instead of transcription;
+    // options.targetLength (seconds) keeps the best segments to fit that length and reports them to options.onTargetEdit;
+    // options.platform picks the export profile (platformOptimize) and options.reframe = { mode: 'pad' | 'crop' | 'smart' } how
+    // the source is fitted to the profile's aspect ratio; options.allowUpscale lets the quality setting exceed the source;
+    // options.stabilization = { smoothing, zoom, crop, extraZoom } stabilizes shaky footage first (options.shakiness is the
+    // source's stored shakiness, options.onShakiness receives a new measurement);
+    // options.colorGrading = { lutPath, strength } grades with a 3D LUT in the style step;
+    // options.brandOverlay = { logoPath, position, margin, scale, opacity, timing, ... } composites the logo at logoPath;
+    // options.watermark = { text, imagePath, fontFile, position, opacity, scale } watermarks the render;
+    // options.normalizeLoudness normalizes the audio to the profile's loudness targets; options.voiceCleanup cleans up speech
+    // (always on for VOICE_CLEANUP_STYLES) and options.reportDir receives its before/after snippets.
+    // Resolves with the output { width, height, bitrate, codec, limitedBy, sceneStarts } (scene starts on its timeline)
+    // and report, the processing report's measurements ({ stabilization, voiceCleanup, loudness: { target, before, after } }).
+    async processVideo(inputPath, outputPath, style, intensity, quality, options = {}) {
+        const { signal, onProgress } = options;
+        let tempDir = null;
+
         try {
             console.log('🎬 Starting AI video processing...');
             
             // Check FFmpeg availability
             const ffmpegAvailable = await this.checkFFmpeg();
             if (!ffmpegAvailable) {
-                throw new Error('FFmpeg not available');
+                throw createRenderError('SPAWN_FAILED', 'FFmpeg not available');
+            }
+
+            if (!(await fs.pathExists(inputPath))) {
+                throw createRenderError('INPUT_NOT_FOUND', `Input video not found: ${path.basename(inputPath)}`);
             }
 
             // Get video info
             const videoInfo = await this.getVideoInfo(inputPath);
+            if (!videoInfo.streams || !videoInfo.streams.some(stream => stream.codec_type === 'video')) {
+                throw createRenderError('CORRUPT_INPUT', 'No video stream found in input');
+            }
             console.log('📊 Video info:', videoInfo.format.duration, 'seconds');
+            const duration = parseFloat(videoInfo.format.duration) || 0;
 
-            // Create temp working directory
-            const tempDir = path.join(path.dirname(outputPath), 'temp_processing');
-            await fs.ensureDir(tempDir);
+            await this.checkDiskSpace(inputPath, outputPath);
 
-            // Step 1: Apply AI style
+            // Create this render's own working directory
+            tempDir = await this.createWorkspace(options.jobId || 'render');
+
+            const profile = resolvePlatformProfile(options.platform, videoInfo, style);
+            const useStabilization = Boolean(options.stabilization);
+            const useReframe = needsReframe(profile);
+            const useJumpCuts = JUMP_CUT_STYLES.includes(style);
+            const targetSeconds = Number(options.targetLength) > 0 ? Number(options.targetLength) : null;
+            const hasAudio = videoInfo.streams.some(stream => stream.codec_type === 'audio');
+            const useVoiceCleanup = (VOICE_CLEANUP_STYLES.includes(style) || Boolean(options.voiceCleanup)) && hasAudio;
+            const useCaptions = options.subtitles ? options.subtitles.mode === 'burn' : Boolean(options.captions);
+            const useOverlay = Boolean(options.brandOverlay && options.brandOverlay.logoPath);
+            const useWatermark = Boolean(options.watermark);
+            const useLoudness = Boolean(options.normalizeLoudness) && hasAudio;
+            const progress = this.createProgressTracker(
+                [
+                    ...(useStabilization ? ['stabilize'] : []),
+                    ...(useReframe ? ['reframe'] : []),
+                    'style',
+                    ...(useJumpCuts ? ['jumpCuts'] : []),
+                    ...(targetSeconds ? ['targetLength'] : []),
+                    ...(useVoiceCleanup ? ['voiceCleanup'] : []),
+                    ...(useCaptions ? ['captions'] : []),
+                    ...(useOverlay ? ['overlay'] : []),
+                    ...(useWatermark ? ['watermark'] : []),
+                    ...(useLoudness ? ['loudness'] : []),
+                    'optimize'
+                ],
+                onProgress
+            );
+
+            // Scenes of the source, detected at most once per render
+            let scenesPromise = null;
+            const loadScenes = () => {
+                if (!scenesPromise) {
+                    scenesPromise = options.loadScenes
+                        ? options.loadScenes({ signal })
+                        : this.detectScenes(inputPath, { signal });
+                }
+                return scenesPromise;
+            };
+
+            // Step 1: Stabilize shaky footage before anything is cropped or styled
+            const report = {};
+            let stablePath = inputPath;
+            if (useStabilization) {
+                const stabilizedPath = path.join(tempDir, 'stabilized.mp4');
+                const settings = stabilization.getStabilizationSettings(options.stabilization);
+                console.log('📹 Checking the footage for camera shake...');
+                report.stabilization = await progress.stage('stabilize', 'Stabilizing shaky footage...', (stageProgress) =>
+                    this.stabilize(inputPath, stabilizedPath, settings, {
+                        signal,
+                        duration,
+                        onProgress: stageProgress,
+                        workDir: tempDir,
+                        width: profile.source.width,
+                        shakiness: options.shakiness,
+                        onMeasure: options.onShakiness
+                    })
+                );
+                if (report.stabilization.applied) {
+                    stablePath = stabilizedPath;
+                } else {
+                    console.log(`📹 Shakiness ${report.stabilization.shakiness} is below ${report.stabilization.threshold}, skipping stabilization`);
+                }
+            }
+
+            // Step 2: Fit the source to the platform's aspect ratio
+            let sourcePath = stablePath;
+            if (useReframe) {
+                const reframeMode = REFRAME_MODES.includes((options.reframe || {}).mode) ? options.reframe.mode : 'pad';
+                sourcePath = path.join(tempDir, 'reframed.mp4');
+                console.log(`📐 Reframing to ${profile.aspect} for ${profile.label} (${reframeMode})...`);
+                await progress.stage('reframe', `Reframing for ${profile.label} (${profile.aspect})...`, (stageProgress) =>
+                    this.reframe(stablePath, sourcePath, profile, reframeMode, { signal, duration, onProgress: stageProgress, workDir: tempDir })
+                );
+            }
+
+            // Step 3: Apply AI style
             const styledPath = path.join(tempDir, 'styled.mp4');
             console.log('🎨 Applying AI style...');
-            await this.applyStyle(inputPath, styledPath, style, intensity);
+            await progress.stage('style', 'Applying AI editing style...', (stageProgress) =>
+                this.applyStyle(sourcePath, styledPath, style, intensity, { signal, duration, onProgress: stageProgress, colorGrading: options.colorGrading })
+            );
 
-            // Step 2: Apply jump cuts (for certain styles)
+            // Step 4: Apply jump cuts (for certain styles)
             const cutPath = path.join(tempDir, 'cut.mp4');
-            if (['mrbeast', 'cinematic', 'vlog'].includes(style)) {
+            let keepRanges = null;
+            if (useJumpCuts) {
                 console.log('✂️ Applying AI jump cuts...');
-                await this.applyJumpCuts(styledPath, cutPath, style);
+                keepRanges = await progress.stage('jumpCuts', 'Detecting scenes and applying jump cuts...', (stageProgress) =>
+                    this.applyJumpCuts(styledPath, cutPath, style, intensity, {
+                        signal,
+                        duration,
+                        onProgress: stageProgress,
+                        loadScenes: options.loadScenes,
+                        jumpCuts: options.jumpCuts
+                    })
+                );
             } else {
                 await fs.copy(styledPath, cutPath);
             }
 
-            // Step 3: Add captions
-            const captionedPath = path.join(tempDir, 'captioned.mp4');
-            console.log('📝 Adding AI captions...');
-            await this.addCaptions(cutPath, captionedPath, style);
+            // Step 5: Keep the best segments to fit the target length
+            let editPath = cutPath;
+            let targetRanges = null;
+            if (targetSeconds) {
+                editPath = path.join(tempDir, 'fitted.mp4');
+                console.log(`🎯 Fitting the edit to ${targetSeconds}s...`);
+                const targetEdit = await progress.stage('targetLength', `Selecting the best ${targetSeconds}s...`, async (stageProgress) => {
+                    // Scene boundaries come from the source; jump cut splices are boundaries too
+                    const scenes = await loadScenes();
+                    const boundaries = [
+                        ...scenes.scenes.map(scene => ({ time: targetLength.toEditTime(scene.start, keepRanges), confidence: scene.confidence })),
+                        ...(keepRanges || []).slice(1).map(range => ({ time: targetLength.toEditTime(range.start, keepRanges), confidence: 0 }))
+                    ];
+                    return this.applyTargetLength(cutPath, editPath, targetSeconds, {
+                        signal,
+                        onProgress: stageProgress,
+                        workDir: tempDir,
+                        boundaries
+                    });
+                });
 
-            // Step 4: Final quality optimization
-            console.log('⚡ Optimizing quality...');
-            await this.optimizeQuality(captionedPath, outputPath, quality);
+                if (targetEdit) {
+                    targetRanges = targetEdit.segments;
+                    // Segments are reported on the source timeline
+                    targetEdit.segments = targetEdit.segments.map(segment => ({
+                        ...segment,
+                        sourceStart: targetLength.toSourceTime(segment.start, keepRanges),
+                        sourceEnd: targetLength.toSourceTime(segment.end, keepRanges)
+                    }));
+                }
+                if (options.onTargetEdit) {
+                    options.onTargetEdit(targetEdit);
+                }
+            }
 
-            // Clean up temp files
-            await fs.remove(tempDir);
+            const cutDuration = useJumpCuts || targetRanges ? await this.getDuration(editPath) : duration;
+
+            // Step 6: Clean up speech (before captions so transcription hears the cleaned audio)
+            if (useVoiceCleanup) {
+                const cleanedPath = path.join(tempDir, 'cleaned.mp4');
+                console.log('🎙️ Cleaning up voice audio...');
+                report.voiceCleanup = await progress.stage('voiceCleanup', 'Reducing noise and enhancing voices...', (stageProgress) =>
+                    this.cleanupVoice(editPath, cleanedPath, intensity, {
+                        signal,
+                        duration: cutDuration,
+                        onProgress: stageProgress,
+                        snippetDir: options.reportDir
+                    })
+                );
+                editPath = cleanedPath;
+            }
+
+            // Step 7: Add captions (uploaded subtitles replace transcription, moved onto the edited timeline;
+            // without options.captions nothing is transcribed)
+            const captionedPath = useCaptions ? path.join(tempDir, 'captioned.mp4') : editPath;
+            const subtitles = options.subtitles
+                ? { ...options.subtitles, cues: mapCuesToEdit(mapCuesToEdit(options.subtitles.cues, keepRanges), targetRanges) }
+                : null;
+            if (!useCaptions) {
+                console.log('📝 No captions requested, skipping transcription');
+            } else if (subtitles) {
+                console.log('📝 Burning uploaded subtitles...');
+                await progress.stage('captions', 'Burning in subtitles...', (stageProgress) =>
+                    this.burnSubtitleCues(editPath, captionedPath, subtitles.cues, style, (options.captions || {}).overrides, {
+                        signal,
+                        duration: cutDuration,
+                        onProgress: stageProgress,
+                        workDir: tempDir
+                    })
+                );
+            } else {
+                console.log('📝 Adding AI captions...');
+                await progress.stage('captions', 'Transcribing speech and adding captions...', (stageProgress) =>
+                    this.addCaptions(editPath, captionedPath, style, {
+                        signal,
+                        duration: cutDuration,
+                        onProgress: stageProgress,
+                        workDir: tempDir,
+                        captions: options.captions,
+                        onTranscript: options.onTranscript
+                    })
+                );
+            }
+
+            // Step 8: Composite the brand logo inside the platform's safe zone
+            let compositedPath = captionedPath;
+            if (useOverlay) {
+                compositedPath = path.join(tempDir, 'branded.mp4');
+                const settings = brandOverlay.getOverlaySettings(options.brandOverlay);
+                console.log(`🏷️ Adding brand logo (${settings.position}, ${settings.timing})...`);
+                await progress.stage('overlay', 'Adding your brand logo...', (stageProgress) =>
+                    this.addOverlay(captionedPath, compositedPath, options.brandOverlay.logoPath, settings, {
+                        signal,
+                        duration: cutDuration,
+                        onProgress: stageProgress,
+                        profile
+                    })
+                );
+            }
+
+            // Step 9: Watermark renders whose tier requires it
+            if (useWatermark) {
+                const watermarkedPath = path.join(tempDir, 'watermarked.mp4');
+                console.log('💧 Adding watermark...');
+                await progress.stage('watermark', 'Adding watermark...', (stageProgress) =>
+                    this.addWatermark(compositedPath, watermarkedPath, options.watermark, {
+                        signal,
+                        duration: cutDuration,
+                        onProgress: stageProgress,
+                        profile
+                    })
+                );
+                compositedPath = watermarkedPath;
+            }
+
+            // Step 10: Measure loudness for two-pass EBU R128 normalization (applied while optimizing)
+            let measuredLoudness = null;
+            if (useLoudness) {
+                console.log(`🔊 Measuring loudness against the ${profile.loudness} LUFS target (${profile.label}, ${style} style)...`);
+                measuredLoudness = await progress.stage('loudness', 'Measuring audio loudness...', (stageProgress) =>
+                    this.measureLoudness(compositedPath, profile, {
+                        signal,
+                        duration: profile.maxDuration ? Math.min(cutDuration, profile.maxDuration) : cutDuration,
+                        onProgress: stageProgress,
+                        maxDuration: profile.maxDuration
+                    })
+                );
+                report.loudness = {
+                    target: { integrated: profile.loudness, truePeak: profile.truePeak, lra: LOUDNESS_RANGE },
+                    before: measuredLoudness,
+                    after: null
+                };
+                // Silence has no loudness to normalize
+                if (!Number.isFinite(measuredLoudness.integrated)) {
+                    console.log('🔇 Audio is silent, skipping loudness normalization');
+                    report.loudness.skipped = 'silent';
+                    measuredLoudness = null;
+                }
+            }
+
+            // Step 11: Final quality optimization for the platform
+            const muxSubtitles = subtitles && subtitles.mode === 'mux';
+            const optimizedPath = muxSubtitles ? path.join(tempDir, 'optimized.mp4') : outputPath;
+            console.log(`⚡ Optimizing quality for ${profile.label}...`);
+            const outputSize = await progress.stage('optimize', 'Optimizing quality...', (stageProgress) =>
+                this.optimizeQuality(compositedPath, optimizedPath, quality, {
+                    signal,
+                    duration: cutDuration,
+                    onProgress: stageProgress,
+                    profile,
+                    allowUpscale: options.allowUpscale,
+                    loudness: measuredLoudness
+                })
+            );
+            if (measuredLoudness) {
+                report.loudness.after = outputSize.loudness;
+                console.log(`🔊 Loudness ${round(measuredLoudness.integrated)} → ${outputSize.loudness ? round(outputSize.loudness.integrated) : '?'} LUFS`);
+            }
+
+            // Step 12: Add uploaded subtitles as a soft track
+            if (muxSubtitles) {
+                console.log('📝 Adding subtitle track...');
+                await this.muxSubtitles(optimizedPath, outputPath, subtitles.cues, { signal, workDir: tempDir, language: subtitles.language });
+            }
+
+            // Scene starts moved onto the output's timeline, for picking thumbnails
+            let sceneStarts = [];
+            try {
+                sceneStarts = [...new Set((await loadScenes()).scenes.map(scene =>
+                    targetLength.toEditTime(targetLength.toEditTime(scene.start, keepRanges), targetRanges)
+                ))];
+            } catch (error) {
+                if (this.isCancelled(error)) throw error;
+                console.warn('⚠️ Scene detection failed, thumbnails will be evenly spaced:', error.message);
+            }
 
             console.log('✅ AI processing complete!');
-            return true;
+            return { ...(await this.getOutputInfo(outputPath)), limitedBy: outputSize.limitedBy, sceneStarts, report };
 
         } catch (error) {
-            console.error('❌ AI processing failed:', error);
+            if (this.isCancelled(error)) {
+                console.log('🛑 AI processing cancelled');
+                await fs.remove(outputPath).catch(() => {});
+            } else {
+                console.error('❌ AI processing failed:', error);
+            }
             throw error;
+        } finally {
+            // Clean up temp files
+            if (tempDir) {
+                await this.removeWorkspace(tempDir);
+            }
+        }
+    }
+
+    // First pass of EBU R128 normalization: measure the audio against the profile's targets (options.maxDuration
+    // limits it to what the output will keep). Resolves with { integrated, truePeak, lra, threshold, offset }.
+    async measureLoudness(videoPath, profile, options = {}) {
+        const stderr = await this.runCommand(this.ffmpegPath, [
+            '-i', videoPath,
+            ...(options.maxDuration ? ['-t', String(options.maxDuration)] : []),
+            '-vn',
+            '-af', `loudnorm=I=${profile.loudness}:TP=${profile.truePeak}:LRA=${LOUDNESS_RANGE}:print_format=json`,
+            '-f', 'null', '-'
+        ], { ...options, captureStderr: true });
+
+        const measured = parseLoudnorm(stderr, 'input');
+        if (!measured) {
+            throw new Error('loudnorm printed no measurements');
         }
+        return measured;
+    }
+
+    // Second pass: apply the measured gain linearly (loudnorm switches to dynamic mode by itself when the
+    // true-peak ceiling can't be kept otherwise), then resample from loudnorm's 192 kHz
+    buildLoudnormFilter(profile, measured) {
+        return [
+            `loudnorm=I=${profile.loudness}:TP=${profile.truePeak}:LRA=${LOUDNESS_RANGE}`,
+            `measured_I=${measured.integrated}:measured_TP=${measured.truePeak}:measured_LRA=${measured.lra}:measured_thresh=${measured.threshold}`,
+            `offset=${measured.offset}:linear=true:print_format=json`
+        ].join(':') + ',aresample=48000';
     }
 
     // Optimize video quality
-    async optimizeQuality(inputPath, outputPath, quality) {
-        const qualitySettings = {
-            '720p': ['-vf', 'scale=1280:720', '-crf', '23'],
-            '1080p': ['-vf', 'scale=1920:1080', '-crf', '20'],
-            '4k': ['-vf', 'scale=3840:2160', '-crf', '18'],
-            '8k': ['-vf', 'scale=7680:4320', '-crf', '16']
+    // options.profile (a resolved platform profile) sets the resolution cap, bitrates, frame rate cap and maximum
+    // duration. The input's aspect ratio is kept and it is only upscaled when options.allowUpscale is set.
+    // options.loudness (measureLoudness's result) normalizes the audio to the profile's loudness targets.
+    // Resolves with the output { width, height, limitedBy } (see getOutputSize) and the output's measured loudness.
+    async optimizeQuality(inputPath, outputPath, quality, options = {}) {
+        const crfSettings = {
+            '720p': 23,
+            '1080p': 20,
+            '4k': 18,
+            '8k': 16
         };
+        const profile = options.profile || { ...PLATFORM_PROFILES.auto, aspect: '16:9', source: {} };
+        const input = getSourceDimensions(await this.getVideoInfo(inputPath));
+        const size = getOutputSize(input, quality, profile, { allowUpscale: options.allowUpscale });
 
-        const settings = qualitySettings[quality] || qualitySettings['1080p'];
+        if (size.limitedBy === 'source') {
+            console.warn(`⚠️ ${quality} would upscale the ${input.width}x${input.height} input; keeping ${size.width}x${size.height}`);
+        } else if (size.limitedBy === 'upscale-limit') {
+            console.warn(`⚠️ Upscaling limited to ${MAX_UPSCALE_FACTOR}x the input (${size.width}x${size.height} instead of ${quality})`);
+        }
 
-        await this.runCommand(this.ffmpegPath, [
+        const rateArgs = profile.videoBitrate
+            ? ['-maxrate', `${profile.videoBitrate}k`, '-bufsize', `${profile.videoBitrate * 2}k`]
+            : [];
+
+        // Longer edits are cut off at the platform's limit
+        const trimmed = Boolean(profile.maxDuration && options.duration > profile.maxDuration);
+        if (trimmed) {
+            console.log(`⏱️ Trimming to ${profile.label}'s ${profile.maxDuration}s limit`);
+        }
+
+        const loudnessArgs = options.loudness ? ['-af', this.buildLoudnormFilter(profile, options.loudness)] : [];
+
+        // loudnorm prints the output's loudness to stderr
+        const stderr = await this.runCommand(this.ffmpegPath, [
             '-i', inputPath,
-            ...settings,
+            '-vf', `scale=${size.width}:${size.height},setsar=1`,
+            '-fpsmax', String(profile.fps),
+            '-crf', String(crfSettings[quality] || crfSettings['1080p']),
+            ...rateArgs,
+            ...loudnessArgs,
+            '-c:v', 'libx264',
             '-c:a', 'aac',
-            '-b:a', '128k',
+            '-b:a', `${profile.audioBitrate}k`,
             '-preset', 'slow',
             '-movflags', '+faststart',
+            ...(trimmed ? ['-t', String(profile.maxDuration)] : []),
+            outputPath
+        ], { ...options, duration: trimmed ? profile.maxDuration : options.duration, captureStderr: true });
+
+        return { ...size, loudness: options.loudness ? parseLoudnorm(stderr, 'output') : null };
+    }
+
+    // Resolution, bitrate (bits/s) and codec of a finished render
+    async getOutputInfo(videoPath) {
+        const info = await this.getVideoInfo(videoPath);
+        const stream = (info.streams || []).find(s => s.codec_type === 'video') || {};
+        return {
+            width: Number(stream.width) || null,
+            height: Number(stream.height) || null,
+            bitrate: Number(info.format && info.format.bit_rate) || null,
+            codec: stream.codec_name || null
+        };
+    }
+
+    // Extract thumbnail candidates after the scene starts (seconds on this video's timeline) into outputDir
+    // as candidate-N.jpg, scored on sharpness and exposure (see thumbnails.js).
+    // Resolves with [{ index, file, time, brightness, contrast, sharpness, score, selected }] in timeline order.
+    async generateThumbnails(videoPath, outputDir, sceneStarts = [], options = {}) {
+        const info = await this.getVideoInfo(videoPath);
+        const duration = parseFloat(info.format.duration) || 0;
+        const { width, height } = getSourceDimensions(info);
+        const analysis = thumbnails.getAnalysisSize(width, height);
+        const times = thumbnails.pickCandidateTimes(sceneStarts, duration);
+        const size = thumbnails.THUMBNAIL_SIZE;
+
+        await fs.emptyDir(outputDir);
+        const candidates = [];
+        for (const [position, time] of times.entries()) {
+            const index = position + 1;
+            const file = `candidate-${index}.jpg`;
+            const framePath = path.join(outputDir, `candidate-${index}.gray`);
+            try {
+                // One decode gives the image and a small grayscale copy to score
+                await this.runCommand(this.ffmpegPath, [
+                    '-ss', String(time),
+                    '-i', videoPath,
+                    '-filter_complex', `[0:v]split[full][small];[full]scale=${size}:${size}:force_original_aspect_ratio=decrease:force_divisible_by=2[thumb];[small]scale=${analysis.width}:${analysis.height},format=gray[gray]`,
+                    '-map', '[thumb]',
+                    '-frames:v', '1',
+                    '-q:v', '2',
+                    '-y',
+                    path.join(outputDir, file),
+                    '-map', '[gray]',
+                    '-frames:v', '1',
+                    '-f', 'rawvideo',
+                    '-y',
+                    framePath
+                ], { signal: options.signal });
+
+                const frame = await fs.readFile(framePath);
+                candidates.push({ index, file, time, ...thumbnails.measureFrame(frame, analysis.width, analysis.height) });
+            } catch (error) {
+                if (this.isCancelled(error)) throw error;
+                console.warn(`⚠️ Could not extract a thumbnail at ${time}s:`, error.message);
+            } finally {
+                await fs.remove(framePath).catch(() => {});
+            }
+        }
+
+        const scored = thumbnails.scoreCandidates(candidates);
+        const best = scored.find(candidate => candidate.selected);
+        console.log(`🖼️ Extracted ${scored.length} thumbnail candidates${best ? `, best at ${best.time}s (score ${best.score})` : ''}`);
+        return scored;
+    }
+
+    // Write hover-scrub sprite sheets (sprite-N.jpg) and a looping animated preview (preview.webp, or preview.gif
+    // when FFmpeg has no WebP encoder) into outputDir; see previews.js.
+    // Resolves with the sprite layout plus { duration, sprites: [file], preview: file | null }.
+    async generatePreviews(videoPath, outputDir, options = {}) {
+        const { signal, onProgress } = options;
+        const report = (offset, share) => (fraction) => {
+            if (onProgress) onProgress(offset + fraction * share);
+        };
+
+        const info = await this.getVideoInfo(videoPath);
+        const duration = parseFloat(info.format.duration) || 0;
+        const { width, height } = getSourceDimensions(info);
+        const layout = previews.planSprites(duration, width, height);
+
+        await fs.emptyDir(outputDir);
+        await this.runCommand(this.ffmpegPath, [
+            '-i', videoPath,
+            '-an',
+            '-vf', `fps=1/${layout.interval},scale=${layout.tileWidth}:${layout.tileHeight},tile=${layout.columns}x${layout.rows}`,
+            '-q:v', '5',
+            '-y',
+            path.join(outputDir, 'sprite-%d.jpg')
+        ], { signal, duration, onProgress: report(0, 0.6) });
+        const sprites = Array.from({ length: layout.sheetCount }, (_, index) => `sprite-${index + 1}.jpg`)
+            .filter(file => fs.existsSync(path.join(outputDir, file)));
+
+        // Clips are cut out with select and played back to back
+        const clips = previews.getPreviewClips(duration);
+        const clipDuration = clips.reduce((sum, clip) => sum + clip.end - clip.start, 0);
+        const selection = clips.map(clip => `between(t,${clip.start},${clip.end})`).join('+');
+        const size = previews.PREVIEW_SIZE;
+        const frames = `[0:v]fps=${previews.PREVIEW_FPS},select='${selection}',setpts=N/${previews.PREVIEW_FPS}/TB,scale=${size}:${size}:force_original_aspect_ratio=decrease:force_divisible_by=2`;
+        const encoders = [
+            { file: 'preview.webp', args: ['-filter_complex', `${frames}[out]`, '-map', '[out]', '-c:v', 'libwebp', '-quality', '60', '-loop', '0'] },
+            { file: 'preview.gif', args: ['-filter_complex', `${frames},split[a][b];[a]palettegen=max_colors=128[palette];[b][palette]paletteuse=dither=bayer[out]`, '-map', '[out]', '-loop', '0'] }
+        ];
+
+        let preview = null;
+        for (const encoder of encoders) {
+            try {
+                await this.runCommand(this.ffmpegPath, [
+                    '-i', videoPath,
+                    ...encoder.args,
+                    '-an',
+                    '-y',
+                    path.join(outputDir, encoder.file)
+                ], { signal, duration: clipDuration, onProgress: report(0.6, 0.4) });
+                preview = encoder.file;
+                break;
+            } catch (error) {
+                if (this.isCancelled(error)) throw error;
+                console.warn(`⚠️ Could not encode ${encoder.file}:`, error.message);
+            }
+        }
+
+        console.log(`🎞️ Generated ${sprites.length} sprite sheet(s) every ${layout.interval}s and ${preview || 'no'} preview`);
+        return { ...layout, duration, sprites, preview };
+    }
+
+    // Crop or pad the source to the profile's aspect ratio
+    // smart mode follows the motion in the clip and falls back to a centre crop when it can't find a clear subject
+    async reframe(videoPath, outputPath, profile, mode, options = {}) {
+        const { signal, duration, onProgress, workDir } = options;
+        let filter = this.buildReframeFilter(profile, mode === 'smart' ? 'crop' : mode);
+        let encodeProgress = onProgress;
+
+        if (mode === 'smart') {
+            const report = (from, share) => (fraction) => onProgress && onProgress(from + fraction * share);
+            const commandsPath = await this.planSmartCrop(videoPath, profile, {
+                signal,
+                duration,
+                workDir,
+                onProgress: report(0, 0.3)
+            });
+            if (commandsPath) {
+                filter = this.buildSmartCropFilter(profile, commandsPath);
+            }
+            encodeProgress = report(0.3, 0.7);
+        }
+
+        await this.runCommand(this.ffmpegPath, [
+            '-i', videoPath,
+            '-filter_complex', filter,
+            '-map', '[outv]',
+            '-map', '0:a?',
+            '-c:v', 'libx264',
+            '-preset', 'fast',
+            '-c:a', 'copy',
+            outputPath
+        ], { signal, duration, onProgress: encodeProgress });
+    }
+
+    // Two-pass stabilization: vidstabdetect writes each frame's motion to a transforms file in workDir, then
+    // vidstabtransform smooths it with `settings` (from getStabilizationSettings). options.width is the frame width
+    // the shakiness is relative to; options.shakiness is an earlier measurement of the same video (footage known to
+    // be steady skips both passes) and options.onMeasure receives a new one. Footage below the threshold isn't
+    // transformed. Resolves with { shakiness, threshold, shaky, applied, ...settings }.
+    async stabilize(videoPath, outputPath, settings, options = {}) {
+        const { signal, duration, onProgress, workDir } = options;
+        const report = (offset, share) => (fraction) => {
+            if (onProgress) onProgress(offset + fraction * share);
+        };
+
+        const known = Number.isFinite(options.shakiness) ? options.shakiness : null;
+        if (known !== null && known < stabilization.SHAKINESS_THRESHOLD) {
+            return { shakiness: known, threshold: stabilization.SHAKINESS_THRESHOLD, shaky: false, applied: false };
+        }
+
+        const transformsPath = path.join(workDir, 'transforms.trf');
+        await this.runCommand(this.ffmpegPath, [
+            '-i', videoPath,
+            '-vf', `vidstabdetect=shakiness=5:accuracy=15:result=${escapeFilterPath(transformsPath)}`,
+            '-f', 'null',
+            '-'
+        ], { signal, duration, onProgress: report(0, 0.4) });
+
+        if (!(await fs.pathExists(transformsPath))) {
+            throw new Error('Stabilization analysis produced no transforms');
+        }
+        const measurement = stabilization.measureShakiness(
+            stabilization.parseTransforms(await fs.readFile(transformsPath, 'utf8')),
+            options.width
+        );
+        if (options.onMeasure) {
+            await options.onMeasure(measurement);
+        }
+        if (!measurement.shaky) {
+            return { ...measurement, applied: false };
+        }
+
+        await this.runCommand(this.ffmpegPath, [
+            '-i', videoPath,
+            '-vf', stabilization.buildTransformFilter(escapeFilterPath(transformsPath), settings),
+            '-c:a', 'copy',
+            '-preset', 'fast',
+            outputPath
+        ], { signal, duration, onProgress: report(0.4, 0.6) });
+
+        return { ...measurement, ...settings, applied: true };
+    }
+
+    // Composite an image onto the video with the brand-overlay settings (from getOverlaySettings), placed inside
+    // options.profile's safe zone
+    async addOverlay(videoPath, outputPath, imagePath, settings, options = {}) {
+        const { signal, duration, onProgress, profile } = options;
+        const frame = getSourceDimensions(await this.getVideoInfo(videoPath));
+
+        await this.runCommand(this.ffmpegPath, [
+            '-i', videoPath,
+            '-loop', '1',
+            '-i', imagePath,
+            '-filter_complex', brandOverlay.buildOverlayFilter(frame, profile.safeZone, settings, duration),
+            '-map', '[outv]',
+            '-map', '0:a?',
+            '-c:v', 'libx264',
+            '-preset', 'fast',
+            '-c:a', 'copy',
             outputPath
-        ]);
+        ], { signal, duration, onProgress });
+    }
+
+    // Watermark the video with { text, imagePath, fontFile, position, opacity, scale }: an image is composited like a
+    // brand logo, otherwise the text is drawn; either way inside options.profile's safe zone
+    async addWatermark(videoPath, outputPath, watermark, options = {}) {
+        const settings = brandOverlay.getOverlaySettings({ ...watermark, timing: 'always' });
+        if (watermark.imagePath) {
+            return this.addOverlay(videoPath, outputPath, watermark.imagePath, settings, options);
+        }
+
+        const { signal, duration, onProgress, profile } = options;
+        const frame = getSourceDimensions(await this.getVideoInfo(videoPath));
+        await this.runCommand(this.ffmpegPath, [
+            '-i', videoPath,
+            '-filter_complex', brandOverlay.buildTextOverlayFilter(frame, profile.safeZone, watermark.text, settings, watermark.fontFile),
+            '-map', '[outv]',
+            '-map', '0:a?',
+            '-c:v', 'libx264',
+            '-preset', 'fast',
+            '-c:a', 'copy',
+            outputPath
+        ], { signal, duration, onProgress });
+    }
+
+    // Turn an uploaded logo into the PNG overlays use, at most LOGO_SIZE wide; SVGs are rendered at that width
+    // (which needs an FFmpeg build with librsvg). Fails if FFmpeg can't decode the file.
+    async prepareLogo(inputPath, outputPath, type, options = {}) {
+        const size = brandOverlay.LOGO_SIZE;
+        await this.runCommand(this.ffmpegPath, [
+            ...(type === 'svg' ? ['-width', String(size), '-keep_ar', '1'] : []),
+            '-i', inputPath,
+            '-vf', `scale='min(iw,${size})':-1`,
+            '-frames:v', '1',
+            '-y',
+            outputPath
+        ], { signal: options.signal });
+    }
+
+    // Sample the clip's motion and write the crop path as a sendcmd script in workDir
+    // Resolves with the script path, or null when confidence is too low for a moving crop
+    async planSmartCrop(videoPath, profile, options = {}) {
+        const { width, height } = profile.source;
+        const { cropWidth, cropHeight } = getCropSize(profile);
+        const axis = cropWidth < width ? 'x' : 'y';
+        const analysis = smartCrop.getAnalysisSize(width, height, axis);
+        const framesPath = path.join(options.workDir, 'motion.gray');
+
+        try {
+            await this.runCommand(this.ffmpegPath, [
+                '-i', videoPath,
+                '-vf', `fps=${smartCrop.ANALYSIS_FPS},scale=${analysis.width}:${analysis.height},format=gray`,
+                '-an',
+                '-f', 'rawvideo',
+                '-y',
+                framesPath
+            ], options);
+
+            const frames = await fs.readFile(framesPath);
+            const samples = smartCrop.measureMotion(frames, analysis.width, analysis.height, axis);
+            const windowFraction = axis === 'x' ? cropWidth / width : cropHeight / height;
+            const { confidence, keyframes } = smartCrop.planCropPath(samples, windowFraction);
+
+            if (confidence < smartCrop.MIN_CONFIDENCE || keyframes.length === 0) {
+                console.log(`🎯 Smart crop confidence ${round(confidence)} is too low, using a centre crop`);
+                return null;
+            }
+            console.log(`🎯 Smart crop following motion (confidence ${round(confidence)}, ${keyframes.length} keyframes)`);
+
+            const commandsPath = path.join(options.workDir, 'crop.cmd');
+            const size = axis === 'x' ? width : height;
+            await fs.writeFile(commandsPath, smartCrop.toCropCommands(keyframes, axis, size, axis === 'x' ? cropWidth : cropHeight));
+            return commandsPath;
+        } catch (error) {
+            if (this.isCancelled(error)) throw error;
+            console.error('Smart crop analysis failed, using a centre crop:', error.message);
+            return null;
+        } finally {
+            await fs.remove(framesPath).catch(() => {});
+        }
+    }
+
+    // Crop driven by a sendcmd script (the crop filter re-evaluates x/y for every frame)
+    buildSmartCropFilter(profile, commandsPath) {
+        const { cropWidth, cropHeight } = getCropSize(profile);
+        return `[0:v]sendcmd=f=${escapeFilterPath(commandsPath)},crop@crop=${cropWidth}:${cropHeight},setsar=1[outv]`;
+    }
+
+    // crop keeps the centre of the frame; pad fits the whole frame over a blurred, zoomed copy of itself
+    // on a canvas with the same long edge as the source
+    buildReframeFilter(profile, mode) {
+        const { width, height } = profile.source;
+        const ratio = parseAspect(profile.aspect);
+        const even = value => Math.floor(value / 2) * 2;
+
+        if (mode === 'crop') {
+            const { cropWidth, cropHeight } = getCropSize(profile);
+            return `[0:v]crop=${cropWidth}:${cropHeight}:${even((width - cropWidth) / 2)}:${even((height - cropHeight) / 2)},setsar=1[outv]`;
+        }
+
+        // The background is blurred at quarter size, which is much cheaper and looks the same once scaled up
+        const longEdge = Math.max(width, height);
+        const canvasWidth = even(ratio >= 1 ? longEdge : longEdge * ratio);
+        const canvasHeight = even(ratio >= 1 ? longEdge / ratio : longEdge);
+        const smallWidth = even(canvasWidth / 4);
+        const smallHeight = even(canvasHeight / 4);
+        return [
+            '[0:v]split=2[bg][fg]',
+            `[bg]scale=${smallWidth}:${smallHeight}:force_original_aspect_ratio=increase,crop=${smallWidth}:${smallHeight},boxblur=10:2,scale=${canvasWidth}:${canvasHeight}[blurred]`,
+            `[fg]scale=${canvasWidth}:${canvasHeight}:force_original_aspect_ratio=decrease[front]`,
+            '[blurred][front]overlay=(W-w)/2:(H-h)/2,setsar=1[outv]'
+        ].join(';');
+    }
+
+    // Build the error thrown when a render is cancelled
+    createCancelledError() {
+        return createRenderError('RENDER_CANCELLED', 'Render cancelled');
+    }
+
+    // Check whether an error came from a cancelled render
+    isCancelled(error) {
+        return Boolean(error && error.code === 'RENDER_CANCELLED');
     }
 
     // Run FFmpeg command
-    async runCommand(command, args) {
+    // options.signal kills the child process when aborted; options.onProgress receives 0..1
+    // parsed from FFmpeg's -progress output against options.duration (seconds);
+    // options.captureStderr resolves with stderr instead of stdout (for analysis filters)
+    async runCommand(command, args, options = {}) {
+        const { signal, onProgress, duration } = options;
+        const trackProgress = Boolean(onProgress && duration > 0);
+
         return new Promise((resolve, reject) => {
-            const process = spawn(command, args);
+            if (signal && signal.aborted) {
+                reject(this.createCancelledError());
+                return;
+            }
+
+            const child = spawn(command, trackProgress ? ['-progress', 'pipe:1', '-nostats', ...args] : args);
+            const onAbort = () => child.kill('SIGKILL');
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
             
             let output = '';
             let error = '';
 
-            process.stdout.on('data', (data) => {
+            child.stdout.on('data', (data) => {
                 output += data.toString();
             });
 
-            process.stderr.on('data', (data) => {
+            child.stderr.on('data', (data) => {
                 error += data.toString();
             });
 
-            process.on('close', (code) => {
-                if (code === 0) {
-                    resolve(output);
+            if (trackProgress) {
+                let pending = '';
+                child.stdout.on('data', (data) => {
+                    pending += data.toString();
+                    const lines = pending.split('\n');
+                    pending = lines.pop();
+                    lines.forEach((line) => {
+                        const [key, value] = line.trim().split('=');
+                        // out_time_ms is also reported in microseconds
+                        if (key === 'out_time_us' || key === 'out_time_ms') {
+                            const seconds = Number(value) / 1000000;
+                            if (Number.isFinite(seconds)) onProgress(Math.min(seconds / duration, 1));
+                        } else if (key === 'progress' && value === 'end') {
+                            onProgress(1);
+                        }
+                    });
+                });
+            }
+
+            child.on('close', (code, closeSignal) => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                if (signal && signal.aborted) {
+                    reject(this.createCancelledError());
+                } else if (code === 0) {
+                    resolve(options.captureStderr ? error : output);
                 } else {
-                    reject(new Error(`Command failed: ${error}`));
+                    // Keep exit details so the failure can be classified
+                    const failure = new Error(`Command failed: ${error}`);
+                    failure.stderr = error;
+                    failure.exitCode = code;
+                    failure.signal = closeSignal;
+                    reject(failure);
                 }
             });
 
-            process.on('error', (err) => {
-                reject(new Error(`Failed to start command: ${err.message}`));
+            child.on('error', (err) => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                reject(createRenderError('SPAWN_FAILED', `Failed to start command: ${err.message}`, err));
             });
         });
     }
 }
 
+// Check whether a pid belongs to a running process
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM means it exists but belongs to another user
+        return error.code === 'EPERM';
+    }
+}
+
+// Free bytes on the filesystem holding `dir` (null if the platform can't tell us)
+async function getFreeBytes(dir) {
+    if (typeof fs.statfs !== 'function') return null;
+    const stats = await fs.statfs(dir);
+    return stats.bavail * stats.bsize;
+}
+
+// Largest even-sized window with the profile's aspect ratio that fits inside the source
+function getCropSize(profile) {
+    const { width, height } = profile.source;
+    const ratio = parseAspect(profile.aspect);
+    const even = value => Math.floor(value / 2) * 2;
+    return {
+        cropWidth: even(Math.min(width, height * ratio)),
+        cropHeight: even(Math.min(height, width / ratio))
+    };
+}
+
+// loudnorm's JSON summary from FFmpeg's stderr as { integrated, truePeak, lra, threshold, offset } for the
+// 'input' or 'output' side (null if there is none); silence measures as -Infinity
+function parseLoudnorm(stderr, side) {
+    const blocks = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/g);
+    if (!blocks) return null;
+
+    const stats = JSON.parse(blocks[blocks.length - 1]);
+    const toNumber = value => (/inf/.test(value) ? -Infinity : parseFloat(value));
+    return {
+        integrated: toNumber(stats[`${side}_i`]),
+        truePeak: toNumber(stats[`${side}_tp`]),
+        lra: toNumber(stats[`${side}_lra`]),
+        threshold: toNumber(stats[`${side}_thresh`]),
+        offset: toNumber(stats.target_offset)
+    };
+}
+
+// Quote a file path for use inside an FFmpeg filter argument
+function escapeFilterPath(filePath) {
+    return `'${filePath.replace(/\\/g, '/').replace(/'/g, "'\\\\''").replace(/:/g, '\\:')}'`;
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function formatMB(bytes) {
+    return `${Math.round(bytes / 1024 / 1024)}MB`;
+}
+
 module.exports = AIVideoProcessor;
 
@@ -0,0 +1,113 @@
+// Brand logo and watermark overlays
+// The logo is scaled to a fraction of the frame width and placed in a corner, inset by the platform's safe zone
+// (where its UI covers the video) plus a margin. It shows for the whole video, fades in and out, or only shows
+// for the first or last few seconds. Text watermarks are drawn in a corner the same way.
+
+const POSITIONS = ['top-right', 'top-left', 'bottom-right', 'bottom-left'];
+const TIMINGS = ['always', 'fade', 'start', 'end'];
+
+// Uploaded logos are stored as PNGs at most this wide (SVGs are rendered at this width)
+const LOGO_SIZE = 1024;
+// Text watermarks are this tall, as a fraction of the frame's short edge
+const TEXT_SIZE = 0.04;
+
+// Overlay settings from a { type: 'brand-overlay', position, margin, scale, opacity, timing, showSeconds, fadeSeconds }
+// effect: margin and scale are fractions of the frame width, opacity 0..1, showSeconds how long 'start' and 'end'
+// timing show the logo, fadeSeconds the length of its fades
+function getOverlaySettings(effect = {}) {
+    const number = (value, fallback, min, max) => {
+        const parsed = value === null || value === '' ? NaN : Number(value);
+        return Number.isFinite(parsed) ? Math.min(Math.max(parsed, min), max) : fallback;
+    };
+
+    return {
+        position: POSITIONS.includes(effect.position) ? effect.position : POSITIONS[0],
+        margin: number(effect.margin, 0.02, 0, 0.2),
+        scale: number(effect.scale, 0.12, 0.02, 0.5),
+        opacity: number(effect.opacity, 0.9, 0, 1),
+        timing: TIMINGS.includes(effect.timing) ? effect.timing : TIMINGS[0],
+        showSeconds: number(effect.showSeconds, 5, 0.5, 60),
+        fadeSeconds: number(effect.fadeSeconds, 0.5, 0, 5)
+    };
+}
+
+// Corner { vertical, horizontal } and its distance (pixels) from the frame edges { x, y } in a frame { width, height }:
+// the platform's safe zone { top, right, bottom, left } plus the margin
+function getOverlayInsets(frame, safeZone, settings) {
+    const zone = safeZone || { top: 0, right: 0, bottom: 0, left: 0 };
+    const [vertical, horizontal] = settings.position.split('-');
+    const margin = settings.margin * frame.width;
+    return {
+        vertical,
+        horizontal,
+        x: Math.round(zone[horizontal] * frame.width + margin),
+        y: Math.round(zone[vertical] * frame.height + margin)
+    };
+}
+
+// Logo width and overlay x/y expressions in a frame { width, height }
+function getOverlayPosition(frame, safeZone, settings) {
+    const inset = getOverlayInsets(frame, safeZone, settings);
+    return {
+        width: Math.max(Math.round(settings.scale * frame.width / 2) * 2, 2),
+        x: inset.horizontal === 'left' ? String(inset.x) : `W-w-${inset.x}`,
+        y: inset.vertical === 'top' ? String(inset.y) : `H-h-${inset.y}`
+    };
+}
+
+// When the logo shows in a video `duration` seconds long: { start, end, fade } (seconds; no fades for 'always')
+function getOverlayWindow(settings, duration) {
+    const start = settings.timing === 'end' ? Math.max(duration - settings.showSeconds, 0) : 0;
+    const end = settings.timing === 'start' ? Math.min(settings.showSeconds, duration) : duration;
+    const fade = settings.timing === 'always' ? 0 : Math.min(settings.fadeSeconds, (end - start) / 2);
+    return { start: round(start), end: round(end), fade: round(fade) };
+}
+
+// filter_complex compositing the looped image (input 1) onto the video (input 0) as [outv]
+function buildOverlayFilter(frame, safeZone, settings, duration) {
+    const position = getOverlayPosition(frame, safeZone, settings);
+    const window = getOverlayWindow(settings, duration);
+
+    const logo = [`scale=${position.width}:-1`, 'format=rgba', `colorchannelmixer=aa=${settings.opacity}`];
+    if (window.fade > 0) {
+        logo.push(
+            `fade=t=in:st=${window.start}:d=${window.fade}:alpha=1`,
+            `fade=t=out:st=${round(window.end - window.fade)}:d=${window.fade}:alpha=1`
+        );
+    }
+    const enable = window.start > 0 || window.end < duration ? `:enable='between(t,${window.start},${window.end})'` : '';
+
+    return `[1:v]${logo.join(',')}[logo];[0:v][logo]overlay=x=${position.x}:y=${position.y}:shortest=1${enable}[outv]`;
+}
+
+// filter_complex drawing `text` onto the video (input 0) as [outv], with an optional font file
+function buildTextOverlayFilter(frame, safeZone, text, settings, fontFile) {
+    const inset = getOverlayInsets(frame, safeZone, settings);
+    const fontSize = Math.max(Math.round(Math.min(frame.width, frame.height) * TEXT_SIZE), 12);
+    const quote = value => `'${String(value).replace(/\\/g, '/').replace(/'/g, "'\\\\''").replace(/:/g, '\\:')}'`;
+    const options = [
+        `text=${quote(text)}`,
+        'expansion=none',
+        ...(fontFile ? [`fontfile=${quote(fontFile)}`] : []),
+        `fontsize=${fontSize}`,
+        `fontcolor=white@${settings.opacity}`,
+        'borderw=2',
+        `bordercolor=black@${round(settings.opacity * 0.6)}`,
+        `x=${inset.horizontal === 'left' ? inset.x : `w-tw-${inset.x}`}`,
+        `y=${inset.vertical === 'top' ? inset.y : `h-th-${inset.y}`}`
+    ];
+    return `[0:v]drawtext=${options.join(':')}[outv]`;
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+    LOGO_SIZE,
+    getOverlaySettings,
+    getOverlayPosition,
+    getOverlayWindow,
+    buildOverlayFilter,
+    buildTextOverlayFilter
+};
@@ -0,0 +1,283 @@
+// Caption cues and subtitle files from word-timed transcripts
+
+// A cue ends when it gets too long, too wide, or the speaker pauses
+const MAX_CUE_CHARS = 42;
+const MAX_CUE_SECONDS = 3.5;
+const MAX_WORD_GAP_SECONDS = 0.8;
+
+// Named templates for burned-in captions (rendered as ASS subtitles)
+// Colors are #RRGGBB; position is bottom, center, top or lower-third; karaoke highlights each word as it is spoken
+const CAPTION_TEMPLATES = {
+    karaoke: {
+        font: 'Arial',
+        fontSize: 0.055,
+        bold: true,
+        uppercase: false,
+        color: '#FFFFFF',
+        highlightColor: '#FFD400',
+        outlineColor: '#000000',
+        outline: 3,
+        shadow: 0,
+        box: false,
+        position: 'bottom',
+        maxWordsPerLine: 6,
+        karaoke: true
+    },
+    tiktok: {
+        font: 'Arial Black',
+        fontSize: 0.075,
+        bold: true,
+        uppercase: true,
+        color: '#FFFFFF',
+        highlightColor: '#FFFFFF',
+        outlineColor: '#000000',
+        outline: 5,
+        shadow: 2,
+        box: false,
+        position: 'center',
+        maxWordsPerLine: 3,
+        karaoke: false
+    },
+    'lower-third': {
+        font: 'Helvetica',
+        fontSize: 0.045,
+        bold: false,
+        uppercase: false,
+        color: '#FFFFFF',
+        highlightColor: '#FFFFFF',
+        outlineColor: '#1A1A1A',
+        outline: 8,
+        shadow: 0,
+        box: true,
+        position: 'lower-third',
+        maxWordsPerLine: 8,
+        karaoke: false
+    },
+    minimal: {
+        font: 'Arial',
+        fontSize: 0.042,
+        bold: false,
+        uppercase: false,
+        color: '#FFFFFF',
+        highlightColor: '#FFFFFF',
+        outlineColor: '#000000',
+        outline: 1.5,
+        shadow: 1,
+        box: false,
+        position: 'bottom',
+        maxWordsPerLine: 8,
+        karaoke: false
+    }
+};
+
+// Default template for each editing style
+const STYLE_CAPTION_TEMPLATES = {
+    mrbeast: 'tiktok',
+    vlog: 'karaoke',
+    podcast: 'lower-third',
+    cinematic: 'minimal'
+};
+
+// Numpad-style ASS alignment and vertical margin (fraction of the frame height) for each position
+const POSITIONS = {
+    bottom: { alignment: 2, marginV: 0.08 },
+    center: { alignment: 5, marginV: 0 },
+    top: { alignment: 8, marginV: 0.08 },
+    'lower-third': { alignment: 1, marginV: 0.15 }
+};
+
+const isNumberIn = (min, max) => value => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+const isBoolean = value => typeof value === 'boolean';
+const isColor = value => typeof value === 'string' && /^#?[0-9a-f]{6}$/i.test(value);
+
+// Template fields a project may override through its auto-captions effect, each with its check
+// Values land in the comma-separated ASS Style line, so anything invalid keeps the template's value
+const TEMPLATE_OVERRIDES = {
+    font: value => typeof value === 'string' && value.replace(/[,\r\n]/g, '').trim() !== '',
+    fontSize: value => isNumberIn(0.01, 0.5)(value) || isNumberIn(8, 400)(value),
+    bold: isBoolean,
+    uppercase: isBoolean,
+    color: isColor,
+    highlightColor: isColor,
+    outlineColor: isColor,
+    outline: isNumberIn(0, 20),
+    shadow: isNumberIn(0, 20),
+    box: isBoolean,
+    position: value => Object.prototype.hasOwnProperty.call(POSITIONS, value),
+    maxWordsPerLine: value => Number.isInteger(value) && value >= 1 && value <= 20,
+    karaoke: isBoolean
+};
+
+// Pick the style's template (or overrides.template) and apply the project's overrides
+function resolveCaptionTemplate(style, overrides = {}) {
+    const name = CAPTION_TEMPLATES[overrides.template] ? overrides.template : (STYLE_CAPTION_TEMPLATES[style] || 'minimal');
+    const template = { name, ...CAPTION_TEMPLATES[name] };
+
+    Object.entries(TEMPLATE_OVERRIDES).forEach(([key, isValid]) => {
+        if (overrides[key] === undefined || overrides[key] === null || !isValid(overrides[key])) return;
+        // Commas and line breaks would split the Style line or start a new ASS line
+        template[key] = key === 'font' ? overrides[key].replace(/[,\r\n]/g, '').trim() : overrides[key];
+    });
+    return template;
+}
+
+// Group words into cues: [{ start, end, text, words }] (options.maxWords caps the words per cue)
+function buildCues(words, options = {}) {
+    const maxWords = options.maxWords || Infinity;
+    const cues = [];
+    let current = null;
+
+    words.forEach((word) => {
+        const text = current ? `${current.text} ${word.word}` : word.word;
+        const startsNewCue = !current
+            || current.words.length >= maxWords
+            || text.length > MAX_CUE_CHARS
+            || word.end - current.start > MAX_CUE_SECONDS
+            || word.start - current.end > MAX_WORD_GAP_SECONDS
+            || /[.!?]$/.test(current.text);
+
+        if (startsNewCue) {
+            current = { start: word.start, end: word.end, text: word.word, words: [word] };
+            cues.push(current);
+        } else {
+            current.text = text;
+            current.end = word.end;
+            current.words.push(word);
+        }
+    });
+
+    return cues;
+}
+
+// 00:01:02,345 (SRT) or 00:01:02.345 (VTT)
+function formatTimestamp(seconds, separator) {
+    const totalMs = Math.max(Math.round(seconds * 1000), 0);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    const pad = (value, size = 2) => String(value).padStart(size, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+// SubRip subtitles
+function toSrt(words) {
+    return cuesToSrt(buildCues(words));
+}
+
+// SubRip subtitles from ready-made cues (e.g. an uploaded subtitle file)
+function cuesToSrt(cues) {
+    return cues
+        .map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`)
+        .join('\n');
+}
+
+// WebVTT subtitles
+function toVtt(words) {
+    const cues = buildCues(words)
+        .map(cue => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.text}\n`)
+        .join('\n');
+    return `WEBVTT\n\n${cues}`;
+}
+
+// '#RRGGBB' (+ opacity 0..1) to ASS &HAABBGGRR
+function toAssColor(hex, opacity = 1) {
+    const value = /^#?[0-9a-f]{6}$/i.test(hex) ? hex.replace('#', '') : 'FFFFFF';
+    const alpha = Math.round((1 - opacity) * 255).toString(16).padStart(2, '0');
+    return `&H${alpha}${value.slice(4, 6)}${value.slice(2, 4)}${value.slice(0, 2)}`.toUpperCase();
+}
+
+// 0:01:02.34 (ASS uses centiseconds)
+function formatAssTimestamp(seconds) {
+    const totalCs = Math.max(Math.round(seconds * 100), 0);
+    const hours = Math.floor(totalCs / 360000);
+    const minutes = Math.floor((totalCs % 360000) / 6000);
+    const secs = Math.floor((totalCs % 6000) / 100);
+    const cs = totalCs % 100;
+    const pad = value => String(value).padStart(2, '0');
+    return `${hours}:${pad(minutes)}:${pad(secs)}.${pad(cs)}`;
+}
+
+// Braces and backslashes are override syntax in ASS
+function escapeAssText(text) {
+    return text.replace(/\\/g, '/').replace(/\{/g, '(').replace(/\}/g, ')');
+}
+
+// Spread a cue's text over its duration when there are no word timings (weighted by word length)
+function estimateWords(cue) {
+    const texts = cue.text.split(/\s+/).filter(Boolean);
+    const totalChars = texts.reduce((sum, text) => sum + text.length, 0) || 1;
+    let time = cue.start;
+    return texts.map((text) => {
+        const start = time;
+        time += (cue.end - cue.start) * text.length / totalChars;
+        return { word: text, start, end: time };
+    });
+}
+
+// ASS subtitles styled by a caption template, sized for a width x height video
+// fontSize below 1 is a fraction of the frame height
+function toAss(words, template, dimensions) {
+    return cuesToAss(buildCues(words, { maxWords: template.maxWordsPerLine }), template, dimensions);
+}
+
+// ASS subtitles from ready-made cues; karaoke timing is estimated for cues without words
+function cuesToAss(cues, template, { width = 1920, height = 1080 } = {}) {
+    const position = POSITIONS[template.position] || POSITIONS.bottom;
+    const fontSize = template.fontSize < 1 ? Math.round(template.fontSize * height) : template.fontSize;
+    const marginV = Math.round(position.marginV * height);
+    const marginH = Math.round(0.05 * width);
+
+    // Karaoke fills each word from SecondaryColour to PrimaryColour as it is spoken
+    const primary = template.karaoke ? template.highlightColor : template.color;
+    const secondary = template.color;
+    // BorderStyle 3 draws an opaque box in OutlineColour behind the text
+    const borderStyle = template.box ? 3 : 1;
+    const outlineColor = toAssColor(template.outlineColor, template.box ? 0.75 : 1);
+
+    const header = [
+        '[Script Info]',
+        'ScriptType: v4.00+',
+        `PlayResX: ${width}`,
+        `PlayResY: ${height}`,
+        'WrapStyle: 0',
+        'ScaledBorderAndShadow: yes',
+        '',
+        '[V4+ Styles]',
+        'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+        `Style: Caption,${template.font},${fontSize},${toAssColor(primary)},${toAssColor(secondary)},${outlineColor},${toAssColor('#000000', 0.5)},${template.bold ? -1 : 0},0,0,0,100,100,0,0,${borderStyle},${template.outline},${template.shadow},${position.alignment},${marginH},${marginH},${marginV},1`,
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+    ];
+
+    const events = cues.map((cue) => {
+        const format = word => escapeAssText(template.uppercase ? word.toUpperCase() : word).replace(/\n/g, '\\N');
+        const cueWords = cue.words || estimateWords(cue);
+        const text = template.karaoke
+            ? cueWords.map((word, index) => {
+                // Each word stays highlighted until the next one starts
+                const next = index + 1 < cueWords.length ? cueWords[index + 1].start : cue.end;
+                const centiseconds = Math.max(Math.round((next - word.start) * 100), 1);
+                return `{\\kf${centiseconds}}${format(word.word)}`;
+            }).join(' ')
+            : format(cue.text);
+        return `Dialogue: 0,${formatAssTimestamp(cue.start)},${formatAssTimestamp(cue.end)},Caption,,0,0,0,,${text}`;
+    });
+
+    return `${header.join('\n')}\n${events.join('\n')}\n`;
+}
+
+module.exports = {
+    CAPTION_TEMPLATES,
+    STYLE_CAPTION_TEMPLATES,
+    resolveCaptionTemplate,
+    toAss,
+    cuesToAss,
+    cuesToSrt,
+    buildCues,
+    formatTimestamp,
+    toAssColor,
+    toSrt,
+    toVtt
+};
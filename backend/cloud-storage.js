@@ -1,5 +1,6 @@
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
+const fs = require('fs-extra');
 const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
 
 const BUCKET_NAME = process.env.AWS_S3_BUCKET;
@@ -72,6 +73,36 @@ const deleteVideo = async (key) => {
     }
 };
 
+// Upload a local file under `key` (render artifacts such as preview images)
+const uploadFile = async (filePath, key, contentType) => {
+    try {
+        await s3.send(new PutObjectCommand({
+            Bucket: BUCKET_NAME,
+            Key: key,
+            Body: fs.createReadStream(filePath),
+            ContentLength: (await fs.stat(filePath)).size,
+            ContentType: contentType
+        }));
+        return { key };
+    } catch (error) {
+        console.error('S3 upload error:', error);
+        throw new Error('Failed to upload file to cloud storage');
+    }
+};
+
+// Stream any stored object with the content type it was uploaded with
+const streamFile = async (key, res) => {
+    try {
+        const obj = await s3.send(new GetObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+        if (obj.ContentType) res.setHeader('Content-Type', obj.ContentType);
+        if (obj.ContentLength != null) res.setHeader('Content-Length', obj.ContentLength.toString());
+        obj.Body.pipe(res);
+    } catch (error) {
+        console.error('S3 stream error:', error);
+        throw new Error('Failed to stream file from cloud storage');
+    }
+};
+
 const getVideoUrl = (key) => `https://${BUCKET_NAME}.s3.${AWS_REGION}.amazonaws.com/${key}`;
 
-module.exports = { uploadVideo, downloadVideo, streamVideo, deleteVideo, getVideoUrl };
+module.exports = { uploadVideo, uploadFile, downloadVideo, streamVideo, streamFile, deleteVideo, getVideoUrl };
@@ -6,8 +6,11 @@ const fs = require('fs-extra');
 const dbDir = path.join(__dirname, 'data');
 fs.ensureDirSync(dbDir);
 
-// Initialize database
-const db = new Database(path.join(dbDir, 'editquick.db'));
+// Initialize database (DB_PATH, relative to the project root, overrides the location; ':memory:' for tests)
+const dbPath = process.env.DB_PATH
+    ? (process.env.DB_PATH === ':memory:' ? ':memory:' : path.resolve(__dirname, '..', process.env.DB_PATH))
+    : path.join(dbDir, 'editquick.db');
+const db = new Database(dbPath);
 
 // Create tables if they don't exist
 function initializeDatabase() {
@@ -122,10 +125,112 @@ function initializeDatabase() {
         )
     `);
 
+    // Render job queue table
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS render_jobs (
+            id TEXT PRIMARY KEY,
+            projectId TEXT NOT NULL,
+            userId TEXT,
+            status TEXT DEFAULT 'queued',
+            attempts INTEGER DEFAULT 0,
+            maxAttempts INTEGER DEFAULT 3,
+            workerId TEXT,
+            lastError TEXT,
+            availableAt TEXT NOT NULL,
+            createdAt TEXT NOT NULL,
+            startedAt TEXT,
+            heartbeatAt TEXT,
+            finishedAt TEXT,
+            FOREIGN KEY (projectId) REFERENCES projects (id)
+        )
+    `);
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_render_jobs_status ON render_jobs (status, availableAt)
+    `);
+    // Scene analysis per project (reused by jump cuts, thumbnails and highlights)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS project_scenes (
+            projectId TEXT PRIMARY KEY,
+            sourceVideo TEXT NOT NULL,
+            duration REAL,
+            scenes TEXT DEFAULT '[]',
+            silences TEXT DEFAULT '[]',
+            shotChanges TEXT DEFAULT '[]',
+            analyzedAt TEXT NOT NULL,
+            FOREIGN KEY (projectId) REFERENCES projects (id)
+        )
+    `);
+    // Word-timed transcript of each project's latest render (served as SRT/VTT)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS project_transcripts (
+            projectId TEXT PRIMARY KEY,
+            provider TEXT NOT NULL,
+            language TEXT,
+            words TEXT DEFAULT '[]',
+            createdAt TEXT NOT NULL,
+            FOREIGN KEY (projectId) REFERENCES projects (id)
+        )
+    `);
+    // Brand assets uploaded once per user (userId is a user id or a guest_<ip> identifier)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS user_brands (
+            userId TEXT PRIMARY KEY,
+            logoFile TEXT,
+            logoType TEXT,
+            uploadedAt TEXT NOT NULL
+        )
+    `);
+    // .cube LUTs uploaded for the color-grading effect (file is in user-luts/)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS user_luts (
+            id TEXT PRIMARY KEY,
+            userId TEXT NOT NULL,
+            name TEXT NOT NULL,
+            file TEXT NOT NULL,
+            size INTEGER NOT NULL,
+            uploadedAt TEXT NOT NULL
+        )
+    `);
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_user_luts_user ON user_luts (userId)
+    `);
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_processing_history_project ON processing_history (projectId)
+    `);
+
+    // Columns added after the initial schema
+    ensureColumn('render_jobs', 'planId', 'TEXT');
+    ensureColumn('render_jobs', 'lastErrorCode', 'TEXT');
+    ensureColumn('projects', 'errorCode', 'TEXT');
+    ensureColumn('projects', 'errorMessage', 'TEXT');
+    ensureColumn('projects', 'estimatedTime', 'INTEGER');
+    ensureColumn('projects', 'subtitleFile', 'TEXT');
+    ensureColumn('projects', 'subtitleMode', 'TEXT');
+    ensureColumn('projects', 'targetEdit', 'TEXT');
+    ensureColumn('projects', 'outputWidth', 'INTEGER');
+    ensureColumn('projects', 'outputHeight', 'INTEGER');
+    ensureColumn('projects', 'outputBitrate', 'INTEGER');
+    ensureColumn('projects', 'outputCodec', 'TEXT');
+    ensureColumn('projects', 'thumbnailCandidates', 'TEXT');
+    ensureColumn('projects', 'previewAssets', 'TEXT');
+    ensureColumn('projects', 'processingReport', 'TEXT');
+    ensureColumn('project_scenes', 'shakiness', 'REAL');
+    ensureColumn('projects', 'watermarked', 'INTEGER DEFAULT 0');
+    ensureColumn('projects', 'guestIp', 'TEXT');
+
     console.log('Database initialized successfully');
     
     // Insert default subscription plans if they don't exist
     insertDefaultPlans();
+    addNoWatermarkFeature();
+}
+
+// Add a column to an existing table (databases created before the column existed)
+function ensureColumn(table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
 }
 
 // Insert default subscription plans
@@ -142,7 +247,7 @@ function insertDefaultPlans() {
                     description: 'Perfect for casual users',
                     price: 9.99,
                     videoLimit: 10,
-                    features: JSON.stringify(['HD Quality', 'Basic Effects', 'Email Support'])
+                    features: JSON.stringify(['HD Quality', 'Basic Effects', 'Email Support', 'No Watermark'])
                 },
                 {
                     id: 'pro',
@@ -150,7 +255,7 @@ function insertDefaultPlans() {
                     description: 'For content creators and professionals',
                     price: 24.99,
                     videoLimit: 50,
-                    features: JSON.stringify(['4K Quality', 'Advanced Effects', 'Priority Support', 'Custom Effects'])
+                    features: JSON.stringify(['4K Quality', 'Advanced Effects', 'Priority Support', 'Custom Effects', 'No Watermark'])
                 },
                 {
                     id: 'enterprise',
@@ -158,7 +263,7 @@ function insertDefaultPlans() {
                     description: 'For businesses and teams',
                     price: 99.99,
                     videoLimit: 500,
-                    features: JSON.stringify(['8K Quality', 'All Effects', '24/7 Support', 'Team Management', 'API Access'])
+                    features: JSON.stringify(['8K Quality', 'All Effects', '24/7 Support', 'Team Management', 'API Access', 'No Watermark'])
                 }
             ];
 
@@ -186,11 +291,28 @@ function insertDefaultPlans() {
     }
 }
 
+// Default plans created before the "No Watermark" feature existed get it (plans whose features were edited are left alone)
+function addNoWatermarkFeature() {
+    const originalFeatures = {
+        basic: ['HD Quality', 'Basic Effects', 'Email Support'],
+        pro: ['4K Quality', 'Advanced Effects', 'Priority Support', 'Custom Effects'],
+        enterprise: ['8K Quality', 'All Effects', '24/7 Support', 'Team Management', 'API Access']
+    };
+    const update = db.prepare('UPDATE subscription_plans SET features = ? WHERE id = ? AND features = ?');
+    Object.entries(originalFeatures).forEach(([id, features]) => {
+        update.run(JSON.stringify([...features, 'No Watermark']), id, JSON.stringify(features));
+    });
+}
+
 // Project operations - will be initialized after tables are created
 let projectOperations = {};
 let historyOperations = {};
 let guestUsageOperations = {};
 let subscriptionOperations = {};
+let sceneOperations = {};
+let transcriptOperations = {};
+let brandOperations = {};
+let lutOperations = {};
 
 // Initialize prepared statements after tables are created
 function initializePreparedStatements() {
@@ -224,6 +346,67 @@ function initializePreparedStatements() {
             UPDATE projects SET status = ?, progress = ?, currentStep = ? WHERE id = ?
         `),
 
+        // Update progress of a running render (estimatedTime = seconds remaining)
+        updateProjectProgress: db.prepare(`
+            UPDATE projects SET progress = ?, currentStep = ?, estimatedTime = ?
+            WHERE id = ? AND status = 'processing'
+        `),
+
+        // IP address whose guest usage was counted for the project's current render (its guest_usage row)
+        updateGuestIp: db.prepare(`
+            UPDATE projects SET guestIp = ? WHERE id = ?
+        `),
+
+        // Clear the counted guest IP once its usage has been refunded (changes is 0 if it was already cleared)
+        clearGuestIp: db.prepare(`
+            UPDATE projects SET guestIp = NULL WHERE id = ? AND guestIp = ?
+        `),
+
+        // Segments chosen to fit the project's target length (JSON, null when the video already fit)
+        updateTargetEdit: db.prepare(`
+            UPDATE projects SET targetEdit = ? WHERE id = ?
+        `),
+
+        // Resolution, bitrate (bits/s) and video codec of the finished render
+        updateOutputInfo: db.prepare(`
+            UPDATE projects SET outputWidth = ?, outputHeight = ?, outputBitrate = ?, outputCodec = ? WHERE id = ?
+        `),
+
+        // Project thumbnail (file in projects/) and the candidates it was picked from (JSON)
+        updateThumbnails: db.prepare(`
+            UPDATE projects SET thumbnail = ?, thumbnailCandidates = ? WHERE id = ?
+        `),
+
+        // Sprite sheet layout and preview files of the finished render (JSON; storage says local disk or S3)
+        updatePreviewAssets: db.prepare(`
+            UPDATE projects SET previewAssets = ? WHERE id = ?
+        `),
+
+        // Measurements taken while rendering (JSON, e.g. loudness before and after normalization)
+        updateProcessingReport: db.prepare(`
+            UPDATE projects SET processingReport = ? WHERE id = ?
+        `),
+
+        // Project effects (JSON list of effect names and { type, ... } objects)
+        updateCustomEffects: db.prepare(`
+            UPDATE projects SET customEffects = ? WHERE id = ?
+        `),
+
+        // Whether the latest render carries the watermark (1 or 0)
+        updateWatermarked: db.prepare(`
+            UPDATE projects SET watermarked = ? WHERE id = ?
+        `),
+
+        // Attach an uploaded subtitle file (stored in uploads/); mode is 'burn' or 'mux'
+        updateProjectSubtitles: db.prepare(`
+            UPDATE projects SET subtitleFile = ?, subtitleMode = ? WHERE id = ?
+        `),
+
+        // Record (or clear) the machine-readable error code and user-facing message
+        updateProjectError: db.prepare(`
+            UPDATE projects SET errorCode = ?, errorMessage = ? WHERE id = ?
+        `),
+
         // Update project details
         updateProject: db.prepare(`
             UPDATE projects SET 
@@ -244,6 +427,13 @@ function initializePreparedStatements() {
         addStep: db.prepare(`
             INSERT INTO processing_history (id, projectId, step, status, message, timestamp)
             VALUES (?, ?, ?, ?, ?, ?)
+        `),
+
+        // Steps recorded after a given rowid (used as the SSE event id)
+        getStepsSince: db.prepare(`
+            SELECT rowid AS seq, step, status, message, timestamp
+            FROM processing_history WHERE projectId = ? AND rowid > ?
+            ORDER BY rowid ASC
         `)
     };
 
@@ -268,6 +458,11 @@ function initializePreparedStatements() {
         // Block guest usage
         blockGuestUsage: db.prepare(`
             UPDATE guest_usage SET blocked = ?, blockedReason = ? WHERE ipAddress = ?
+        `),
+
+        // Give back one use (e.g. the render was cancelled); a block stays in place
+        refundGuestUsage: db.prepare(`
+            UPDATE guest_usage SET usageCount = MAX(usageCount - 1, 0) WHERE ipAddress = ?
         `)
     };
 
@@ -304,9 +499,101 @@ function initializePreparedStatements() {
             UPDATE user_subscriptions SET videoCount = ? WHERE id = ?
         `),
 
-        // Get user's video count
+        // Get user's video count (cancelled renders don't count against the plan)
         getUserVideoCount: db.prepare(`
-            SELECT COUNT(*) as count FROM projects WHERE userId = ?
+            SELECT COUNT(*) as count FROM projects WHERE userId = ? AND status != 'cancelled'
+        `)
+    };
+
+    // Scene analysis operations
+    sceneOperations = {
+        // Get stored analysis for a project
+        getScenes: db.prepare(`
+            SELECT * FROM project_scenes WHERE projectId = ?
+        `),
+
+        // Store (or replace) a project's analysis
+        saveScenes: db.prepare(`
+            INSERT OR REPLACE INTO project_scenes (projectId, sourceVideo, duration, scenes, silences, shotChanges, analyzedAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `),
+
+        // Record the shakiness measured by stabilization for the analysed source
+        updateShakiness: db.prepare(`
+            UPDATE project_scenes SET shakiness = ? WHERE projectId = ? AND sourceVideo = ?
+        `),
+
+        // Remove a project's analysis
+        deleteScenes: db.prepare(`
+            DELETE FROM project_scenes WHERE projectId = ?
+        `)
+    };
+
+    // Transcript operations
+    transcriptOperations = {
+        // Get a project's transcript
+        getTranscript: db.prepare(`
+            SELECT * FROM project_transcripts WHERE projectId = ?
+        `),
+
+        // Store (or replace) a project's transcript
+        saveTranscript: db.prepare(`
+            INSERT OR REPLACE INTO project_transcripts (projectId, provider, language, words, createdAt)
+            VALUES (?, ?, ?, ?, ?)
+        `),
+
+        // Remove a project's transcript
+        deleteTranscript: db.prepare(`
+            DELETE FROM project_transcripts WHERE projectId = ?
+        `)
+    };
+
+    // Brand asset operations
+    brandOperations = {
+        // Get a user's brand assets
+        getBrand: db.prepare(`
+            SELECT * FROM user_brands WHERE userId = ?
+        `),
+
+        // Store (or replace) a user's logo
+        saveLogo: db.prepare(`
+            INSERT INTO user_brands (userId, logoFile, logoType, uploadedAt)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(userId) DO UPDATE SET logoFile = excluded.logoFile, logoType = excluded.logoType, uploadedAt = excluded.uploadedAt
+        `),
+
+        // Remove a user's logo
+        deleteLogo: db.prepare(`
+            UPDATE user_brands SET logoFile = NULL, logoType = NULL WHERE userId = ?
+        `)
+    };
+
+    // Uploaded LUT operations
+    lutOperations = {
+        // Get an uploaded LUT by id
+        getLut: db.prepare(`
+            SELECT * FROM user_luts WHERE id = ?
+        `),
+
+        // Get a user's LUTs, newest first
+        getUserLuts: db.prepare(`
+            SELECT * FROM user_luts WHERE userId = ? ORDER BY uploadedAt DESC
+        `),
+
+        // Count a user's LUTs
+        countUserLuts: db.prepare(`
+            SELECT COUNT(*) AS count FROM user_luts WHERE userId = ?
+        `),
+
+        // Store an uploaded LUT (size is its points per axis)
+        createLut: db.prepare(`
+            INSERT INTO user_luts (id, userId, name, file, size, uploadedAt)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `),
+
+        // Remove an uploaded LUT
+        deleteLut: db.prepare(`
+            DELETE FROM user_luts WHERE id = ?
         `)
     };
 
@@ -323,5 +610,9 @@ module.exports = {
     historyOperations,
     guestUsageOperations,
     subscriptionOperations,
+    sceneOperations,
+    transcriptOperations,
+    brandOperations,
+    lutOperations,
     initializeDatabase
 };
@@ -0,0 +1,104 @@
+const path = require('path');
+
+// 3D LUT color grading for the color-grading effect
+// Each style has a bundled .cube LUT in luts/; users can upload their own (validated here, stored per user).
+// The graded frame is blended over the original, with a strength that scales with the project's intensity.
+
+const BUNDLED_DIR = path.join(__dirname, 'luts');
+const BUNDLED_LUTS = {
+    cinematic: 'Cinematic (teal and orange)',
+    mrbeast: 'MrBeast (punchy and saturated)',
+    vlog: 'Vlog (bright and warm)',
+    podcast: 'Podcast (neutral)'
+};
+
+// Uploaded .cube files: at most this large, with at most MAX_LUT_SIZE points per axis
+const MAX_LUT_BYTES = Number(process.env.MAX_LUT_BYTES) || 10 * 1024 * 1024;
+const MAX_LUT_SIZE = 65;
+const MAX_USER_LUTS = Number(process.env.MAX_USER_LUTS) || 20;
+
+// Blend strength at medium intensity unless the effect sets one
+const DEFAULT_STRENGTH = 0.8;
+
+// Check a .cube file's text: { size, title, error } (error is null for a usable 3D LUT)
+function validateCube(text) {
+    let size = null;
+    let title = null;
+    let entries = 0;
+    const domain = { min: [0, 0, 0], max: [1, 1, 1] };
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (!line || line.startsWith('#')) continue;
+        const fail = message => ({ size, title, error: `Line ${i + 1}: ${message}` });
+
+        const [keyword, ...rest] = line.split(/\s+/);
+        if (keyword === 'TITLE') {
+            title = line.slice(keyword.length).trim().replace(/^"|"$/g, '');
+        } else if (keyword === 'LUT_3D_SIZE') {
+            size = Number(rest[0]);
+            if (!Number.isInteger(size) || size < 2 || size > MAX_LUT_SIZE) {
+                return fail(`LUT_3D_SIZE must be between 2 and ${MAX_LUT_SIZE}`);
+            }
+        } else if (keyword === 'LUT_1D_SIZE') {
+            return fail('1D LUTs are not supported, upload a 3D LUT');
+        } else if (keyword === 'DOMAIN_MIN' || keyword === 'DOMAIN_MAX') {
+            const values = rest.map(Number);
+            if (values.length !== 3 || !values.every(Number.isFinite)) {
+                return fail(`${keyword} needs three numbers`);
+            }
+            domain[keyword === 'DOMAIN_MIN' ? 'min' : 'max'] = values;
+        } else if (keyword === 'LUT_3D_INPUT_RANGE') {
+            const values = rest.map(Number);
+            if (values.length !== 2 || !values.every(Number.isFinite)) {
+                return fail('LUT_3D_INPUT_RANGE needs two numbers');
+            }
+            domain.min = [values[0], values[0], values[0]];
+            domain.max = [values[1], values[1], values[1]];
+        } else if (/^[-+.\d]/.test(keyword)) {
+            const values = [keyword, ...rest].map(Number);
+            if (values.length !== 3 || !values.every(Number.isFinite)) {
+                return fail('table rows need three numbers');
+            }
+            if (size === null) {
+                return fail('LUT_3D_SIZE must come before the table');
+            }
+            entries++;
+        } else {
+            return fail(`unknown keyword ${keyword}`);
+        }
+    }
+
+    if (size === null) {
+        return { size, title, error: 'Missing LUT_3D_SIZE' };
+    }
+    if (entries !== size ** 3) {
+        return { size, title, error: `Expected ${size ** 3} table rows for a ${size}-point LUT, found ${entries}` };
+    }
+    if (domain.min.some((min, axis) => min >= domain.max[axis])) {
+        return { size, title, error: 'DOMAIN_MIN must be below DOMAIN_MAX' };
+    }
+    return { size, title, error: null };
+}
+
+// Path of the bundled LUT for a style (styles without one use cinematic's)
+function getBundledLutPath(style) {
+    return path.join(BUNDLED_DIR, `${BUNDLED_LUTS[style] ? style : 'cinematic'}.cube`);
+}
+
+// Blend strength (0..1): the effect's strength scaled by the intensity multiplier
+function getLutStrength(strength, multiplier) {
+    const base = Number(strength);
+    const value = (Number.isFinite(base) && base >= 0 ? Math.min(base, 1) : DEFAULT_STRENGTH) * multiplier;
+    return Math.round(Math.min(Math.max(value, 0), 1) * 1000) / 1000;
+}
+
+module.exports = {
+    BUNDLED_LUTS,
+    MAX_LUT_BYTES,
+    MAX_USER_LUTS,
+    validateCube,
+    getBundledLutPath,
+    getLutStrength
+};
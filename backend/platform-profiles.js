@@ -0,0 +1,204 @@
+// Export profiles for the project's platformOptimize setting
+// aspect is 'W:H' (auto picks one from the source orientation); maxDuration is in seconds (null = no limit);
+// resolution caps the short edge of the output (null = quality decides); videoBitrate caps the encoder rate
+// (kbps, null = no cap); audioBitrate is the AAC rate in kbps; fps caps the frame rate; loudness is the
+// integrated loudness target (LUFS) and truePeak the true-peak ceiling (dBTP) for EBU R128 normalization;
+// safeZone is the margin on each side (fraction of the frame height or width) covered by the platform's UI
+const PLATFORM_PROFILES = {
+    auto: {
+        label: 'Auto',
+        aspect: 'auto',
+        maxDuration: null,
+        resolution: null,
+        videoBitrate: null,
+        audioBitrate: 128,
+        fps: 60,
+        loudness: -14,
+        truePeak: -1,
+        safeZone: { top: 0.05, right: 0.05, bottom: 0.05, left: 0.05 }
+    },
+    youtube: {
+        label: 'YouTube',
+        aspect: '16:9',
+        maxDuration: null,
+        resolution: 2160,
+        videoBitrate: 35000,
+        audioBitrate: 192,
+        fps: 60,
+        loudness: -14,
+        truePeak: -1,
+        safeZone: { top: 0.05, right: 0.05, bottom: 0.12, left: 0.05 }
+    },
+    tiktok: {
+        label: 'TikTok',
+        aspect: '9:16',
+        maxDuration: 60,
+        resolution: 1080,
+        videoBitrate: 8000,
+        audioBitrate: 128,
+        fps: 30,
+        loudness: -14,
+        truePeak: -1,
+        safeZone: { top: 0.1, right: 0.15, bottom: 0.2, left: 0.05 }
+    },
+    instagram: {
+        label: 'Instagram',
+        aspect: '1:1',
+        maxDuration: 60,
+        resolution: 1080,
+        videoBitrate: 5000,
+        audioBitrate: 128,
+        fps: 30,
+        loudness: -14,
+        truePeak: -1,
+        safeZone: { top: 0.06, right: 0.06, bottom: 0.1, left: 0.06 }
+    },
+    twitter: {
+        label: 'Twitter',
+        aspect: '16:9',
+        maxDuration: 140,
+        resolution: 1080,
+        videoBitrate: 6000,
+        audioBitrate: 128,
+        fps: 60,
+        loudness: -14,
+        truePeak: -1,
+        safeZone: { top: 0.05, right: 0.05, bottom: 0.12, left: 0.05 }
+    },
+    linkedin: {
+        label: 'LinkedIn',
+        aspect: '16:9',
+        maxDuration: 600,
+        resolution: 1080,
+        videoBitrate: 5000,
+        audioBitrate: 128,
+        fps: 30,
+        loudness: -14,
+        truePeak: -1,
+        safeZone: { top: 0.05, right: 0.05, bottom: 0.12, left: 0.05 }
+    },
+    podcast: {
+        label: 'Podcast',
+        aspect: 'auto',
+        maxDuration: null,
+        resolution: 1080,
+        videoBitrate: null,
+        audioBitrate: 192,
+        fps: 30,
+        loudness: -16,
+        truePeak: -1.5,
+        safeZone: { top: 0.05, right: 0.05, bottom: 0.05, left: 0.05 }
+    }
+};
+
+// Loudness targets that follow the editing style rather than the platform: spoken-word podcast edits
+// aim for -16 LUFS wherever they are published
+const STYLE_LOUDNESS = {
+    podcast: { loudness: -16, truePeak: -1.5 }
+};
+
+// Aspect ratio auto mode uses for each source orientation
+const AUTO_ASPECTS = {
+    portrait: '9:16',
+    landscape: '16:9',
+    square: '1:1'
+};
+
+// Short edge of each quality setting
+const QUALITY_SHORT_EDGES = {
+    '720p': 720,
+    '1080p': 1080,
+    '4k': 2160,
+    '8k': 4320
+};
+
+// Upscaling only happens when the project asks for it, and never past this multiple of the input size
+const MAX_UPSCALE_FACTOR = Number(process.env.MAX_UPSCALE_FACTOR) || 2;
+
+// Ways of fitting the source into the target aspect ratio (smart crops around the motion)
+const REFRAME_MODES = ['pad', 'crop', 'smart'];
+
+// Display size of the first video stream, with phone rotation metadata applied
+function getSourceDimensions(info) {
+    const stream = ((info && info.streams) || []).find(s => s.codec_type === 'video') || {};
+    const sideData = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+    const rotation = Math.abs(Number(sideData ? sideData.rotation : (stream.tags || {}).rotate) || 0) % 180;
+    const width = Number(stream.width) || 0;
+    const height = Number(stream.height) || 0;
+    return rotation === 90 ? { width: height, height: width } : { width, height };
+}
+
+// portrait, landscape or square (within 5%)
+function getOrientation({ width, height }) {
+    if (!width || !height) return 'landscape';
+    const ratio = width / height;
+    if (Math.abs(ratio - 1) <= 0.05) return 'square';
+    return ratio > 1 ? 'landscape' : 'portrait';
+}
+
+// '9:16' to 0.5625
+function parseAspect(aspect) {
+    const [width, height] = aspect.split(':').map(Number);
+    return width / height;
+}
+
+// The project's platform profile with aspect resolved against the source video (the editing style can override
+// the loudness targets, see STYLE_LOUDNESS)
+function resolvePlatformProfile(platform, info, style) {
+    const name = PLATFORM_PROFILES[platform] ? platform : 'auto';
+    const profile = { name, ...PLATFORM_PROFILES[name], ...STYLE_LOUDNESS[style] };
+    const source = getSourceDimensions(info);
+
+    if (profile.aspect === 'auto') {
+        profile.aspect = AUTO_ASPECTS[getOrientation(source)];
+    }
+    profile.source = source;
+    return profile;
+}
+
+// Whether the source needs cropping or padding to reach the profile's aspect ratio (1% tolerance)
+function needsReframe(profile) {
+    const { width, height } = profile.source;
+    if (!width || !height) return false;
+    const target = parseAspect(profile.aspect);
+    return Math.abs(width / height - target) / target > 0.01;
+}
+
+// Output frame size for a quality setting, keeping the input's aspect ratio (even dimensions).
+// The short edge comes from the quality (capped by the platform) but stays at the input's unless allowUpscale
+// is set, and even then at most MAX_UPSCALE_FACTOR times it. limitedBy is 'platform', 'source', 'upscale-limit' or null.
+function getOutputSize(input, quality, profile, { allowUpscale = false } = {}) {
+    const qualityEdge = QUALITY_SHORT_EDGES[quality] || QUALITY_SHORT_EDGES['1080p'];
+    let shortEdge = profile.resolution ? Math.min(qualityEdge, profile.resolution) : qualityEdge;
+    let limitedBy = shortEdge < qualityEdge ? 'platform' : null;
+
+    // Without input dimensions fall back to the profile's aspect ratio
+    const ratio = input.width && input.height ? input.width / input.height : parseAspect(profile.aspect);
+    if (input.width && input.height) {
+        const inputEdge = Math.min(input.width, input.height);
+        const maxEdge = allowUpscale ? inputEdge * MAX_UPSCALE_FACTOR : inputEdge;
+        if (shortEdge > maxEdge) {
+            shortEdge = Math.floor(maxEdge / 2) * 2;
+            limitedBy = allowUpscale ? 'upscale-limit' : 'source';
+        }
+    }
+
+    const even = value => Math.max(Math.round(value / 2) * 2, 2);
+    const size = ratio >= 1
+        ? { width: even(shortEdge * ratio), height: shortEdge }
+        : { width: shortEdge, height: even(shortEdge / ratio) };
+    return { ...size, limitedBy };
+}
+
+module.exports = {
+    PLATFORM_PROFILES,
+    STYLE_LOUDNESS,
+    MAX_UPSCALE_FACTOR,
+    QUALITY_SHORT_EDGES,
+    REFRAME_MODES,
+    resolvePlatformProfile,
+    needsReframe,
+    getOutputSize,
+    getSourceDimensions,
+    parseAspect
+};
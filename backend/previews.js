@@ -0,0 +1,79 @@
+const { formatTimestamp } = require('./captions');
+
+// Hover-scrub sprite sheets and the looping card preview for a finished render
+// Frames are sampled every `interval` seconds into tiles of COLUMNS x ROWS sheets; a WebVTT track maps each
+// interval to its tile (#xywh=x,y,w,h) so players can show the frame under the cursor.
+
+// Seconds between sprite frames (longer videos use a wider interval so they stay under MAX_SPRITE_FRAMES)
+const SPRITE_INTERVAL = Number(process.env.PREVIEW_SPRITE_INTERVAL) || 2;
+const MAX_SPRITE_FRAMES = 300;
+const SPRITE_TILE_WIDTH = 160;
+const SPRITE_COLUMNS = 10;
+const SPRITE_ROWS = 10;
+
+// The animated preview strings together short clips from across the video
+const PREVIEW_CLIPS = 4;
+const PREVIEW_CLIP_SECONDS = 1;
+const PREVIEW_FPS = 10;
+// Bounding box for the preview frame (pixels)
+const PREVIEW_SIZE = 320;
+
+// Sprite layout for a width x height video: { interval, frameCount, tileWidth, tileHeight, columns, rows, sheetCount }
+// Short videos get smaller sheets instead of mostly empty ones
+function planSprites(duration, width, height) {
+    const even = value => Math.max(Math.round(value / 2) * 2, 2);
+    const interval = Math.max(SPRITE_INTERVAL, Math.ceil(duration / MAX_SPRITE_FRAMES));
+    const frameCount = Math.max(Math.ceil(duration / interval), 1);
+    const columns = Math.min(SPRITE_COLUMNS, frameCount);
+    const rows = Math.min(SPRITE_ROWS, Math.ceil(frameCount / columns));
+
+    return {
+        interval,
+        frameCount,
+        tileWidth: SPRITE_TILE_WIDTH,
+        tileHeight: even(SPRITE_TILE_WIDTH * (height || 9) / (width || 16)),
+        columns,
+        rows,
+        sheetCount: Math.ceil(frameCount / (columns * rows))
+    };
+}
+
+// Clips [{ start, end }] for the animated preview, spread evenly; short videos are used whole
+function getPreviewClips(duration) {
+    if (duration <= PREVIEW_CLIPS * PREVIEW_CLIP_SECONDS * 2) {
+        return [{ start: 0, end: round(Math.min(duration, PREVIEW_CLIPS * PREVIEW_CLIP_SECONDS)) }];
+    }
+    return Array.from({ length: PREVIEW_CLIPS }, (_, index) => {
+        const center = duration * (index + 0.5) / PREVIEW_CLIPS;
+        return { start: round(center - PREVIEW_CLIP_SECONDS / 2), end: round(center + PREVIEW_CLIP_SECONDS / 2) };
+    });
+}
+
+// WebVTT thumbnail track for a sprite layout; sheetUrl(index) is the URL of sheet `index` (0-based)
+function buildThumbnailVtt(layout, duration, sheetUrl) {
+    const perSheet = layout.columns * layout.rows;
+    const cues = [];
+    for (let frame = 0; frame < layout.frameCount; frame++) {
+        const start = frame * layout.interval;
+        const end = Math.min(start + layout.interval, duration);
+        if (end <= start) break;
+
+        const position = frame % perSheet;
+        const x = (position % layout.columns) * layout.tileWidth;
+        const y = Math.floor(position / layout.columns) * layout.tileHeight;
+        cues.push(`${formatTimestamp(start, '.')} --> ${formatTimestamp(end, '.')}\n${sheetUrl(Math.floor(frame / perSheet))}#xywh=${x},${y},${layout.tileWidth},${layout.tileHeight}\n`);
+    }
+    return `WEBVTT\n\n${cues.join('\n')}`;
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+    PREVIEW_FPS,
+    PREVIEW_SIZE,
+    planSprites,
+    getPreviewClips,
+    buildThumbnailVtt
+};
@@ -0,0 +1,102 @@
+const { projectOperations, historyOperations } = require('./database');
+
+// Server-Sent Events for project progress
+// Workers may run in other processes, so the stream follows the database: every processing_history
+// row becomes a `step` event (its rowid is the event id) and progress changes become `progress` events.
+
+const EVENTS_POLL_MS = Number(process.env.PROJECT_EVENTS_POLL_MS) || 1000;
+const KEEPALIVE_MS = 15000;
+const CLIENT_RETRY_MS = 3000;
+const TERMINAL_STATUSES = ['completed', 'error', 'cancelled'];
+
+// Fields clients need to render a project's progress
+function getSnapshot(project) {
+    return {
+        status: project.status,
+        progress: project.progress || 0,
+        currentStep: project.currentStep || '',
+        estimatedTime: project.status === 'processing' ? project.estimatedTime || null : null,
+        errorCode: project.errorCode || null,
+        errorMessage: project.errorMessage || null,
+        downloadUrl: project.status === 'completed' ? `/api/projects/${project.id}/download` : null
+    };
+}
+
+// Write one SSE frame
+function writeEvent(res, event, data, id) {
+    if (id !== undefined) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+const projectEvents = {
+    // Stream events for a project until it finishes or the client disconnects.
+    // lastEventId resumes after the last step the client saw (0 replays the whole history).
+    stream(req, res, projectId, lastEventId = 0) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+        let lastSeq = lastEventId;
+        let lastSnapshot = null;
+        let closed = false;
+
+        const close = () => {
+            if (closed) return;
+            closed = true;
+            clearInterval(poller);
+            clearInterval(keepalive);
+            res.end();
+        };
+
+        const poll = () => {
+            try {
+                const project = projectOperations.getProjectById.get(projectId);
+                // Project deleted while streaming
+                if (!project) return close();
+
+                const snapshot = getSnapshot(project);
+
+                // Catch up on history rows written since the last event
+                historyOperations.getStepsSince.all(projectId, lastSeq).forEach((row) => {
+                    lastSeq = row.seq;
+                    writeEvent(res, 'step', {
+                        step: row.step,
+                        status: row.status,
+                        message: row.message,
+                        timestamp: row.timestamp,
+                        ...snapshot
+                    }, row.seq);
+                });
+
+                // Progress updates between steps don't write history, so diff the project row
+                const serialized = JSON.stringify(snapshot);
+                if (serialized !== lastSnapshot) {
+                    lastSnapshot = serialized;
+                    writeEvent(res, 'progress', snapshot);
+                }
+
+                if (TERMINAL_STATUSES.includes(project.status)) {
+                    writeEvent(res, 'done', snapshot);
+                    close();
+                }
+            } catch (error) {
+                console.error(`Project event stream failed for ${projectId}:`, error);
+                close();
+            }
+        };
+
+        const poller = setInterval(poll, EVENTS_POLL_MS);
+        const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+        req.on('close', close);
+        poll();
+    }
+};
+
+module.exports = {
+    projectEvents
+};
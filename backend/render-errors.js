@@ -0,0 +1,144 @@
+// Render failure classification
+// Transient failures are retried with exponential backoff; permanent ones fail the render right away.
+
+const RENDER_ERRORS = {
+    SPAWN_FAILED: {
+        transient: true,
+        message: 'The video engine could not be started. We will retry automatically.'
+    },
+    PROCESS_KILLED: {
+        transient: true,
+        message: 'The render was interrupted by the server. We will retry automatically.'
+    },
+    WORKER_LOST: {
+        transient: true,
+        message: 'The render server stopped responding. We will retry automatically.'
+    },
+    NETWORK_ERROR: {
+        transient: true,
+        message: 'A network problem interrupted the render. We will retry automatically.'
+    },
+    DISK_FULL: {
+        transient: true,
+        message: 'The render server ran out of disk space. We will retry automatically.'
+    },
+    CLOUD_RENDER_UNAVAILABLE: {
+        transient: true,
+        message: 'The cloud renderer is temporarily unavailable. We will retry automatically.'
+    },
+    CLOUD_RENDER_REJECTED: {
+        transient: false,
+        message: 'The cloud renderer rejected this video. Please check the file and try again.'
+    },
+    CLOUD_RENDER_FAILED: {
+        transient: false,
+        message: 'The cloud render failed. Please try again or choose a different style.'
+    },
+    INPUT_NOT_FOUND: {
+        transient: false,
+        message: 'The uploaded video could not be found. Please upload it again.'
+    },
+    CORRUPT_INPUT: {
+        transient: false,
+        message: 'The uploaded video appears to be damaged or incomplete. Please re-export it and upload again.'
+    },
+    UNSUPPORTED_CODEC: {
+        transient: false,
+        message: 'This video uses a format we cannot decode yet. Please convert it to H.264 MP4 and upload again.'
+    },
+    INVALID_PARAMETERS: {
+        transient: false,
+        message: 'The selected editing options could not be applied to this video. Please adjust them and try again.'
+    },
+    RENDER_CANCELLED: {
+        transient: false,
+        message: 'The render was cancelled.'
+    },
+    RENDER_FAILED: {
+        transient: false,
+        message: 'We could not process this video. Please try again or contact support.'
+    }
+};
+
+// Shown when a transient failure kept happening until the render ran out of attempts
+const RETRIES_EXHAUSTED_MESSAGE = 'We could not finish this render after several attempts. Please try again later.';
+
+// FFmpeg/ffprobe stderr patterns, checked in order
+const STDERR_PATTERNS = [
+    { code: 'DISK_FULL', pattern: /No space left on device/i },
+    { code: 'INPUT_NOT_FOUND', pattern: /No such file or directory/i },
+    { code: 'UNSUPPORTED_CODEC', pattern: /Decoder \(codec [^)]*\) not found|Unknown decoder|Unsupported codec|codec not currently supported|Could not find codec parameters/i },
+    { code: 'CORRUPT_INPUT', pattern: /Invalid data found when processing input|moov atom not found|Invalid NAL unit|error while decoding|Truncating packet|corrupt/i },
+    { code: 'INVALID_PARAMETERS', pattern: /Invalid argument|Error parsing|No such filter|Option not found|Unrecognized option|Error initializing filter|Invalid too big or non positive size/i }
+];
+
+// Node network error codes
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+// Build a classified error; `code` must be one of RENDER_ERRORS
+function createRenderError(code, message, cause) {
+    const error = new Error(message || RENDER_ERRORS[code].message);
+    error.code = code;
+    if (cause) error.cause = cause;
+    return error;
+}
+
+// Work out the error code for any error thrown while rendering
+function getErrorCode(error) {
+    if (!error) return 'RENDER_FAILED';
+
+    if (error.code && RENDER_ERRORS[error.code]) {
+        return error.code;
+    }
+
+    // Shotstack HTTP failures carry the response status
+    if (typeof error.status === 'number') {
+        if (error.status >= 500 || error.status === 429) return 'CLOUD_RENDER_UNAVAILABLE';
+        if (error.status >= 400) return 'CLOUD_RENDER_REJECTED';
+    }
+
+    const networkCode = error.code || (error.cause && error.cause.code);
+    if (NETWORK_CODES.includes(networkCode) || (error.name === 'TypeError' && /fetch failed/i.test(error.message))) {
+        return 'NETWORK_ERROR';
+    }
+    if (networkCode === 'ENOSPC') {
+        return 'DISK_FULL';
+    }
+
+    const text = `${error.stderr || ''}\n${error.message || ''}`;
+    const match = STDERR_PATTERNS.find(entry => entry.pattern.test(text));
+    if (match) {
+        return match.code;
+    }
+
+    // FFmpeg killed by a signal we did not send (e.g. the OOM killer)
+    if (error.signal) {
+        return 'PROCESS_KILLED';
+    }
+
+    return 'RENDER_FAILED';
+}
+
+// Classify an error: { code, transient, userMessage, detail }
+function classifyRenderError(error) {
+    const code = getErrorCode(error);
+    return {
+        code,
+        transient: RENDER_ERRORS[code].transient,
+        userMessage: RENDER_ERRORS[code].message,
+        detail: error && error.message ? error.message : String(error)
+    };
+}
+
+// User-facing message for a render that has finally failed
+function getFinalErrorMessage(code) {
+    const entry = RENDER_ERRORS[code] || RENDER_ERRORS.RENDER_FAILED;
+    return entry.transient ? RETRIES_EXHAUSTED_MESSAGE : entry.message;
+}
+
+module.exports = {
+    RENDER_ERRORS,
+    createRenderError,
+    classifyRenderError,
+    getFinalErrorMessage
+};
@@ -0,0 +1,372 @@
+const { db, subscriptionOperations } = require('./database');
+const { v4: uuidv4 } = require('uuid');
+const { createRenderError, classifyRenderError } = require('./render-errors');
+
+// A running job whose worker has not sent a heartbeat for this long is considered orphaned
+const STALE_JOB_MS = Number(process.env.RENDER_JOB_STALE_MS) || 60 * 1000;
+
+// Exponential backoff for transient failures: base * 2^(attempt - 1), capped
+const RETRY_BASE_MS = Number(process.env.RENDER_RETRY_BASE_MS) || 5000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Used for start time estimates until enough renders have completed
+const DEFAULT_RENDER_MS = 2 * 60 * 1000;
+
+// Scheduling weight and max concurrent renders per user, by subscription plan
+const PLAN_SCHEDULING = {
+    enterprise: { weight: 4, maxActiveRenders: 4 },
+    pro: { weight: 2, maxActiveRenders: 2 },
+    basic: { weight: 1, maxActiveRenders: 1 },
+    free: { weight: 1, maxActiveRenders: 1 },
+    guest: { weight: 0.5, maxActiveRenders: 1 }
+};
+
+// Render job operations
+const jobOperations = {
+    // Create a queued job
+    createJob: db.prepare(`
+        INSERT INTO render_jobs (id, projectId, userId, planId, status, attempts, maxAttempts, availableAt, createdAt)
+        VALUES (?, ?, ?, ?, 'queued', 0, ?, ?, ?)
+    `),
+
+    // Get job by ID
+    getJobById: db.prepare(`
+        SELECT * FROM render_jobs WHERE id = ?
+    `),
+
+    // Get the queued or running job for a project
+    getActiveJobForProject: db.prepare(`
+        SELECT * FROM render_jobs
+        WHERE projectId = ? AND status IN ('queued', 'running')
+        ORDER BY createdAt DESC
+        LIMIT 1
+    `),
+
+    // Get queued jobs that are ready to run
+    getReadyJobs: db.prepare(`
+        SELECT * FROM render_jobs
+        WHERE status = 'queued' AND availableAt <= ?
+        ORDER BY createdAt ASC
+    `),
+
+    // Get every queued job, including ones waiting out a retry delay
+    getQueuedJobs: db.prepare(`
+        SELECT * FROM render_jobs WHERE status = 'queued' ORDER BY createdAt ASC
+    `),
+
+    // Count running jobs per user
+    getRunningCounts: db.prepare(`
+        SELECT userId, COUNT(*) as running FROM render_jobs WHERE status = 'running' GROUP BY userId
+    `),
+
+    // Most recent render start per user (used for fair scheduling)
+    getLastStartedByUser: db.prepare(`
+        SELECT userId, MAX(startedAt) as lastStartedAt
+        FROM render_jobs
+        WHERE startedAt IS NOT NULL AND userId IS NOT NULL
+        GROUP BY userId
+    `),
+
+    // Average duration of recent successful renders
+    getAverageRenderMs: db.prepare(`
+        SELECT AVG((julianday(finishedAt) - julianday(startedAt)) * 86400000) as avgMs
+        FROM (
+            SELECT startedAt, finishedAt FROM render_jobs
+            WHERE status = 'completed' AND startedAt IS NOT NULL AND finishedAt IS NOT NULL
+            ORDER BY finishedAt DESC
+            LIMIT 50
+        )
+    `),
+
+    // Count workers that currently hold a job
+    getBusyWorkerCount: db.prepare(`
+        SELECT COUNT(DISTINCT workerId) as workers, COUNT(*) as running
+        FROM render_jobs WHERE status = 'running'
+    `),
+
+    // Assign a queued job to a worker
+    markRunning: db.prepare(`
+        UPDATE render_jobs
+        SET status = 'running', workerId = ?, attempts = attempts + 1, startedAt = ?, heartbeatAt = ?
+        WHERE id = ? AND status = 'queued'
+    `),
+
+    // Record that the worker is still alive
+    updateHeartbeat: db.prepare(`
+        UPDATE render_jobs SET heartbeatAt = ? WHERE id = ? AND workerId = ? AND status = 'running'
+    `),
+
+    // Mark job as completed
+    markCompleted: db.prepare(`
+        UPDATE render_jobs SET status = 'completed', finishedAt = ?
+        WHERE id = ? AND workerId = ? AND status = 'running'
+    `),
+
+    // Put a worker's job back in the queue
+    requeueJob: db.prepare(`
+        UPDATE render_jobs
+        SET status = 'queued', workerId = NULL, lastError = ?, lastErrorCode = ?, availableAt = ?
+        WHERE id = ? AND workerId = ? AND status = 'running'
+    `),
+
+    // Hand a running job back to the queue without using up an attempt
+    releaseJob: db.prepare(`
+        UPDATE render_jobs
+        SET status = 'queued', workerId = NULL, attempts = MAX(attempts - 1, 0), availableAt = ?
+        WHERE id = ? AND workerId = ? AND status = 'running'
+    `),
+
+    // Mark a queued or running job as cancelled
+    markCancelled: db.prepare(`
+        UPDATE render_jobs SET status = 'cancelled', finishedAt = ?
+        WHERE id = ? AND status IN ('queued', 'running')
+    `),
+
+    // Mark a worker's job as permanently failed
+    markFailed: db.prepare(`
+        UPDATE render_jobs SET status = 'failed', lastError = ?, lastErrorCode = ?, finishedAt = ?
+        WHERE id = ? AND workerId = ? AND status = 'running'
+    `),
+
+    // Get running jobs that stopped sending heartbeats
+    getStaleJobs: db.prepare(`
+        SELECT * FROM render_jobs WHERE status = 'running' AND heartbeatAt < ?
+    `),
+
+    // Get projects left processing by the old in-process pipeline (no job was ever recorded)
+    getProjectsWithoutJob: db.prepare(`
+        SELECT p.* FROM projects p
+        WHERE p.status IN ('queued', 'processing')
+        AND NOT EXISTS (SELECT 1 FROM render_jobs j WHERE j.projectId = p.id)
+    `)
+};
+
+// Work out which plan a job owner is on
+function resolvePlanId(userId) {
+    if (!userId || userId.startsWith('guest_')) {
+        return 'guest';
+    }
+    const subscription = subscriptionOperations.getUserSubscription.get(userId);
+    return subscription && PLAN_SCHEDULING[subscription.planId] ? subscription.planId : 'free';
+}
+
+function getPlanScheduling(planId) {
+    return PLAN_SCHEDULING[planId] || PLAN_SCHEDULING.free;
+}
+
+// Users without an ID (legacy rows) are scheduled per job
+function ownerKey(job) {
+    return job.userId || `job:${job.id}`;
+}
+
+// Estimate how long one render slot stays busy
+function getAverageRenderMs() {
+    const row = jobOperations.getAverageRenderMs.get();
+    return row && row.avgMs > 0 ? row.avgMs : DEFAULT_RENDER_MS;
+}
+
+// Order queued jobs fairly: each user only competes with their oldest job, and a user's
+// score grows with the time since they were last served, scaled by plan weight and
+// divided by how many renders they already have running. Each pick advances a virtual
+// clock by one render slot so the resulting order can also be used to estimate start times.
+function scheduleOrder(jobs, { nowMs = Date.now(), slotMs = DEFAULT_RENDER_MS } = {}) {
+    const running = new Map(jobOperations.getRunningCounts.all().map(row => [row.userId, row.running]));
+    const lastServed = new Map(jobOperations.getLastStartedByUser.all().map(row => [row.userId, Date.parse(row.lastStartedAt)]));
+
+    const byOwner = new Map();
+    jobs.forEach(job => {
+        const key = ownerKey(job);
+        if (!byOwner.has(key)) byOwner.set(key, []);
+        byOwner.get(key).push(job);
+    });
+
+    const order = [];
+    let clock = nowMs;
+    while (byOwner.size > 0) {
+        let bestKey = null;
+        let bestScore = -Infinity;
+
+        byOwner.forEach((ownerJobs, key) => {
+            const head = ownerJobs[0];
+            const since = Math.max(Date.parse(head.createdAt), lastServed.get(key) || 0);
+            const weight = getPlanScheduling(head.planId).weight;
+            const score = weight * (clock - since + 1) / (1 + (running.get(key) || 0));
+            if (score > bestScore) {
+                bestScore = score;
+                bestKey = key;
+            }
+        });
+
+        const ownerJobs = byOwner.get(bestKey);
+        order.push(ownerJobs.shift());
+        if (ownerJobs.length === 0) byOwner.delete(bestKey);
+        lastServed.set(bestKey, clock);
+        clock += slotMs;
+    }
+
+    return order;
+}
+
+// Render queue functions
+const renderQueue = {
+    // Queue a render for a project (returns the existing job if one is already active)
+    enqueue(projectId, userId, { maxAttempts = 3, delayMs = 0 } = {}) {
+        const existing = jobOperations.getActiveJobForProject.get(projectId);
+        if (existing) {
+            return existing;
+        }
+
+        const jobId = uuidv4();
+        const now = new Date();
+        jobOperations.createJob.run(
+            jobId,
+            projectId,
+            userId || null,
+            resolvePlanId(userId),
+            maxAttempts,
+            new Date(now.getTime() + delayMs).toISOString(),
+            now.toISOString()
+        );
+
+        return jobOperations.getJobById.get(jobId);
+    },
+
+    // Claim the next job for a worker by fair scheduling, skipping users at their plan's render cap
+    claim: db.transaction((workerId) => {
+        const now = new Date().toISOString();
+        const running = new Map(jobOperations.getRunningCounts.all().map(row => [row.userId, row.running]));
+        const job = scheduleOrder(jobOperations.getReadyJobs.all(now)).find(candidate => {
+            const active = running.get(candidate.userId) || 0;
+            return !candidate.userId || active < getPlanScheduling(candidate.planId).maxActiveRenders;
+        });
+        if (!job) {
+            return null;
+        }
+
+        const result = jobOperations.markRunning.run(workerId, now, now, job.id);
+        if (result.changes === 0) {
+            return null;
+        }
+
+        return jobOperations.getJobById.get(job.id);
+    }),
+
+    // Keep a running job alive; returns false if the worker no longer owns it
+    heartbeat(jobId, workerId) {
+        const result = jobOperations.updateHeartbeat.run(new Date().toISOString(), jobId, workerId);
+        return result.changes > 0;
+    },
+
+    // Mark a job as done
+    complete(jobId, workerId) {
+        jobOperations.markCompleted.run(new Date().toISOString(), jobId, workerId);
+        return jobOperations.getJobById.get(jobId);
+    },
+
+    // Record a failed attempt; transient failures are re-queued with backoff until attempts run out.
+    // Returns null if the worker no longer owns the job (it was cancelled, or recovered and claimed by another worker).
+    fail(jobId, failure, workerId) {
+        const job = jobOperations.getJobById.get(jobId);
+        if (!job || job.status !== 'running' || job.workerId !== workerId) {
+            return null;
+        }
+
+        if (failure.transient && job.attempts < job.maxAttempts) {
+            const delayMs = Math.min(RETRY_BASE_MS * Math.pow(2, Math.max(job.attempts - 1, 0)), RETRY_MAX_MS);
+            const retryAt = new Date(Date.now() + delayMs).toISOString();
+            const result = jobOperations.requeueJob.run(failure.detail, failure.code, retryAt, jobId, workerId);
+            return result.changes > 0 ? { retrying: true, delayMs, job: jobOperations.getJobById.get(jobId) } : null;
+        }
+
+        const result = jobOperations.markFailed.run(failure.detail, failure.code, new Date().toISOString(), jobId, workerId);
+        return result.changes > 0 ? { retrying: false, job: jobOperations.getJobById.get(jobId) } : null;
+    },
+
+    // Give a running job back to the queue for another worker (used when a worker shuts down); returns false
+    // if the worker no longer owns it
+    release(jobId, workerId) {
+        const result = jobOperations.releaseJob.run(new Date().toISOString(), jobId, workerId);
+        return result.changes > 0;
+    },
+
+    // Re-queue jobs abandoned by a dead worker and adopt projects that were left processing
+    recoverOrphanedJobs() {
+        const cutoff = new Date(Date.now() - STALE_JOB_MS).toISOString();
+        const requeued = [];
+        const failed = [];
+        const adopted = [];
+
+        jobOperations.getStaleJobs.all(cutoff).forEach(job => {
+            const result = renderQueue.fail(job.id, classifyRenderError(
+                createRenderError('WORKER_LOST', `Worker ${job.workerId} stopped responding`)
+            ), job.workerId);
+            // Another process may have recovered it first
+            if (result) (result.retrying ? requeued : failed).push(result.job);
+        });
+
+        jobOperations.getProjectsWithoutJob.all().forEach(project => {
+            adopted.push(renderQueue.enqueue(project.id, project.userId));
+        });
+
+        return { requeued, failed, adopted };
+    },
+
+    // Cancel the active job for a project; returns the job as it was before cancelling, or null
+    cancel: db.transaction((projectId) => {
+        const job = jobOperations.getActiveJobForProject.get(projectId);
+        if (!job) {
+            return null;
+        }
+
+        const result = jobOperations.markCancelled.run(new Date().toISOString(), job.id);
+        return result.changes > 0 ? job : null;
+    }),
+
+    // Check whether a job has been cancelled (workers poll this while rendering)
+    isCancelled(jobId) {
+        const job = jobOperations.getJobById.get(jobId);
+        return Boolean(job && job.status === 'cancelled');
+    },
+
+    // Get the active job for a project
+    getActiveJob(projectId) {
+        return jobOperations.getActiveJobForProject.get(projectId) || null;
+    },
+
+    // Queue position (1-based) and estimated start time for a queued project, or null
+    getQueueStatus(projectId) {
+        const job = jobOperations.getActiveJobForProject.get(projectId);
+        if (!job || job.status !== 'queued') {
+            return null;
+        }
+
+        const busy = jobOperations.getBusyWorkerCount.get();
+        const capacity = Math.max(1, busy.workers, busy.running);
+        const avgRenderMs = getAverageRenderMs();
+        const nowMs = Date.now();
+
+        const order = scheduleOrder(jobOperations.getQueuedJobs.all(), { nowMs, slotMs: avgRenderMs / capacity });
+        const index = order.findIndex(queued => queued.id === job.id);
+        if (index === -1) {
+            return null;
+        }
+
+        const waitMs = Math.floor((index + busy.running) / capacity) * avgRenderMs;
+        const startMs = Math.max(nowMs + waitMs, Date.parse(job.availableAt));
+
+        return {
+            jobId: job.id,
+            planId: job.planId,
+            position: index + 1,
+            queueLength: order.length,
+            estimatedStartAt: new Date(startMs).toISOString()
+        };
+    }
+};
+
+module.exports = {
+    renderQueue,
+    jobOperations,
+    scheduleOrder,
+    PLAN_SCHEDULING
+};
@@ -0,0 +1,79 @@
+const AIVideoProcessor = require('./ai-processor');
+const { sceneOperations } = require('./database');
+
+// Stored scene analysis per project
+// Detection runs once per source video; jump cuts, thumbnails and highlights read the stored result.
+// Stabilization adds the source's shakiness once it has measured it.
+
+const aiProcessor = new AIVideoProcessor();
+
+// Analyses in progress, so concurrent callers share one FFmpeg run
+const pending = new Map();
+
+// Turn a project_scenes row back into the detectScenes shape
+function fromRow(row) {
+    return {
+        duration: row.duration,
+        scenes: JSON.parse(row.scenes || '[]'),
+        silences: JSON.parse(row.silences || '[]'),
+        shotChanges: JSON.parse(row.shotChanges || '[]'),
+        shakiness: row.shakiness === null || row.shakiness === undefined ? null : row.shakiness,
+        analyzedAt: row.analyzedAt
+    };
+}
+
+const sceneAnalysis = {
+    // Stored analysis for the project's current source video, or null
+    get(project) {
+        const row = sceneOperations.getScenes.get(project.id);
+        if (!row || row.sourceVideo !== project.originalVideo) {
+            return null;
+        }
+        return fromRow(row);
+    },
+
+    // Detect scenes in videoPath and store the result for the project
+    async analyze(project, videoPath, options = {}) {
+        if (pending.has(project.id)) {
+            return pending.get(project.id);
+        }
+
+        const run = (async () => {
+            const analysis = await aiProcessor.detectScenes(videoPath, options);
+            const analyzedAt = new Date().toISOString();
+            sceneOperations.saveScenes.run(
+                project.id,
+                project.originalVideo,
+                analysis.duration,
+                JSON.stringify(analysis.scenes),
+                JSON.stringify(analysis.silences),
+                JSON.stringify(analysis.shotChanges),
+                analyzedAt
+            );
+            console.log(`🎞️ Detected ${analysis.scenes.length} scenes for project ${project.id}`);
+            return { ...analysis, shakiness: null, analyzedAt };
+        })();
+
+        pending.set(project.id, run);
+        try {
+            return await run;
+        } finally {
+            pending.delete(project.id);
+        }
+    },
+
+    // Store the shakiness measured for the project's source (scenes are detected first if they haven't been)
+    async saveShakiness(project, videoPath, shakiness, options = {}) {
+        await this.getOrAnalyze(project, videoPath, options);
+        sceneOperations.updateShakiness.run(shakiness, project.id, project.originalVideo);
+    },
+
+    // Stored analysis, running detection first if there is none
+    async getOrAnalyze(project, videoPath, options = {}) {
+        return this.get(project) || this.analyze(project, videoPath, options);
+    }
+};
+
+module.exports = {
+    sceneAnalysis
+};
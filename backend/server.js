@@ -9,12 +9,22 @@ const cors = require('cors');
 const helmet = require('helmet');
 const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
-const AIVideoProcessor = require('./ai-processor');
-const { projectOperations, historyOperations, guestUsageOperations, subscriptionOperations } = require('./database');
+const { projectOperations, historyOperations, guestUsageOperations, subscriptionOperations, sceneOperations, transcriptOperations, brandOperations, lutOperations } = require('./database');
 const { auth, authenticateToken, optionalAuth } = require('./auth');
 const { sharing } = require('./sharing');
 const { analytics } = require('./analytics');
 const { checkGuestUsage, checkSubscriptionLimits, optionalSubscriptionCheck } = require('./usage-limits');
+const { renderQueue } = require('./render-queue');
+const { RECOVERY_INTERVAL_MS, RenderWorker, recoverRenderJobs, sweepScratchWorkspaces } = require('./render-worker');
+const { RENDER_ERRORS } = require('./render-errors');
+const { projectEvents } = require('./project-events');
+const { sceneAnalysis } = require('./scene-analysis');
+const { toSrt, toVtt } = require('./captions');
+const { MAX_SUBTITLE_BYTES, getSubtitleFormat, parseSubtitles } = require('./subtitles');
+const { isCustomThumbnail } = require('./thumbnails');
+const { buildThumbnailVtt } = require('./previews');
+const { BUNDLED_LUTS, MAX_LUT_BYTES, MAX_USER_LUTS, validateCube } = require('./luts');
+const AIVideoProcessor = require('./ai-processor');
 const rateLimit = require('express-rate-limit');
 
 const app = express();
@@ -80,34 +90,17 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 const uploadsDir = path.join(__dirname, 'uploads');
 const projectsDir = path.join(__dirname, 'projects');
 const editedDir = path.join(__dirname, 'edited');
+const brandsDir = path.join(__dirname, 'brands');
+const userLutsDir = path.join(__dirname, 'user-luts');
 
 fs.ensureDirSync(uploadsDir);
 fs.ensureDirSync(projectsDir);
 fs.ensureDirSync(editedDir);
+fs.ensureDirSync(brandsDir);
+fs.ensureDirSync(userLutsDir);
 
-// Lightweight single-file upload handler (field name: 'file') that returns a direct URL
-// If no 'file' is provided, this falls through to the multi-upload route below
-const singleStorage = multer.diskStorage({
-    destination: (req, file, cb) => cb(null, uploadsDir),
-    filename: (req, file, cb) => {
-        const ext = path.extname(file.originalname);
-        const name = path.basename(file.originalname, ext);
-        cb(null, `${name}-${Date.now()}${ext}`);
-    }
-});
-const uploadSingle = multer({ storage: singleStorage });
-
-app.post('/api/upload', (req, res, next) => {
-    uploadSingle.single('file')(req, res, (err) => {
-        if (err) return next(err);
-        // If no 'file' field provided, let the multi-file handler process it
-        if (!req.file) return next();
-
-        const base = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '') || `${req.protocol}://${req.get('host')}`;
-        const fileUrl = `${base}/uploads/${encodeURIComponent(req.file.filename)}`;
-        return res.json({ success: true, url: fileUrl });
-    });
-});
+// Used for preparing uploaded brand logos
+const aiProcessor = new AIVideoProcessor();
 
 // Configure multer for video uploads
 const storage = multer.diskStorage({
@@ -120,24 +113,151 @@ const storage = multer.diskStorage({
     }
 });
 
+// Storage for the lightweight single-file upload (field name: 'file')
+const singleStorage = multer.diskStorage({
+    destination: (req, file, cb) => cb(null, uploadsDir),
+    filename: (req, file, cb) => {
+        const ext = path.extname(file.originalname);
+        const name = path.basename(file.originalname, ext);
+        cb(null, `${name}-${Date.now()}${ext}`);
+    }
+});
+
 // Import cloud storage (AWS SDK v3)
-const { downloadVideo, streamVideo } = require('./cloud-storage');
+const { downloadVideo, streamVideo, streamFile, deleteVideo } = require('./cloud-storage');
 
 // Choose storage based on environment
 const storageMode = process.env.STORAGE_MODE || 'local';
+const videoStorage = storageMode === 'cloud' ? multer.memoryStorage() : storage;
+
+// The request body can only be parsed once, so one parser handles every upload field:
+// videos follow STORAGE_MODE, subtitle files always stay on disk next to local uploads
+const fieldStorage = (file) => {
+    if (file.fieldname === 'videos') return videoStorage;
+    if (file.fieldname === 'file') return singleStorage;
+    return storage;
+};
 const upload = multer({
-    storage: storageMode === 'cloud' ? multer.memoryStorage() : storage,
+    storage: {
+        _handleFile: (req, file, cb) => fieldStorage(file)._handleFile(req, file, cb),
+        _removeFile: (req, file, cb) => fieldStorage(file)._removeFile(req, file, cb)
+    },
     limits: {
         fileSize: 500 * 1024 * 1024, // 500MB limit
     },
     fileFilter: (req, file, cb) => {
-        if (file.mimetype.startsWith('video/')) {
+        if (file.fieldname === 'subtitles') {
+            if (getSubtitleFormat(file.originalname)) {
+                cb(null, true);
+            } else {
+                cb(new Error('Subtitles must be an .srt, .vtt or .ass file'), false);
+            }
+        } else if (file.fieldname === 'file' || file.mimetype.startsWith('video/')) {
             cb(null, true);
         } else {
             cb(new Error('Only video files are allowed!'), false);
         }
     }
 });
+const uploadFields = upload.fields([
+    { name: 'file', maxCount: 1 },
+    { name: 'videos' },
+    { name: 'subtitles', maxCount: 1 }
+]);
+
+// Custom thumbnail images (field name: 'thumbnail') are stored next to the project's render
+const THUMBNAIL_TYPES = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp'
+};
+const MAX_THUMBNAIL_BYTES = 10 * 1024 * 1024;
+const thumbnailUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => cb(null, projectsDir),
+        filename: (req, file, cb) => cb(null, `thumbnail-${req.params.id}-custom-${Date.now()}${THUMBNAIL_TYPES[file.mimetype]}`)
+    }),
+    limits: {
+        fileSize: MAX_THUMBNAIL_BYTES
+    },
+    fileFilter: (req, file, cb) => {
+        if (THUMBNAIL_TYPES[file.mimetype]) {
+            cb(null, true);
+        } else {
+            cb(new Error('Thumbnails must be JPEG, PNG or WebP images'), false);
+        }
+    }
+}).single('thumbnail');
+
+// Whether a file starts with a JPEG, PNG or WebP signature (the upload's mimetype is only the client's claim)
+async function hasImageSignature(filePath) {
+    const fd = await fs.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await fs.read(fd, Buffer.alloc(12), 0, 12, 0);
+        const header = buffer.subarray(0, bytesRead);
+        return header.subarray(0, 3).equals(Buffer.from([0xFF, 0xD8, 0xFF]))
+            || header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))
+            || (header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WEBP');
+    } finally {
+        await fs.close(fd);
+    }
+}
+
+// Brand logos (field name: 'logo') are PNG or SVG images, stored once per user for the brand-overlay effect
+const LOGO_TYPES = {
+    'image/png': 'png',
+    'image/svg+xml': 'svg'
+};
+const MAX_LOGO_BYTES = 5 * 1024 * 1024;
+const logoUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => cb(null, brandsDir),
+        filename: (req, file, cb) => cb(null, `upload-${uuidv4()}.${LOGO_TYPES[file.mimetype]}`)
+    }),
+    limits: {
+        fileSize: MAX_LOGO_BYTES
+    },
+    fileFilter: (req, file, cb) => {
+        if (LOGO_TYPES[file.mimetype]) {
+            cb(null, true);
+        } else {
+            cb(new Error('Logos must be PNG or SVG images'), false);
+        }
+    }
+}).single('logo');
+
+// Color-grading LUTs (field name: 'lut') are .cube files, stored per user and checked with validateCube
+const lutUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => cb(null, userLutsDir),
+        filename: (req, file, cb) => cb(null, `lut-${uuidv4()}.cube`)
+    }),
+    limits: {
+        fileSize: MAX_LUT_BYTES
+    },
+    fileFilter: (req, file, cb) => {
+        if (path.extname(file.originalname).toLowerCase() === '.cube') {
+            cb(null, true);
+        } else {
+            cb(new Error('LUTs must be .cube files'), false);
+        }
+    }
+}).single('lut');
+
+// Whether a file starts like a PNG, or contains an <svg> element near its start for SVGs
+async function hasLogoSignature(filePath, type) {
+    const fd = await fs.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await fs.read(fd, Buffer.alloc(4096), 0, 4096, 0);
+        const header = buffer.subarray(0, bytesRead);
+        if (type === 'svg') {
+            return /<svg[\s>]/i.test(header.toString('utf8'));
+        }
+        return header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]));
+    } finally {
+        await fs.close(fd);
+    }
+}
 
 // Database is now used instead of in-memory storage
 
@@ -288,7 +408,13 @@ app.get('/api/projects', optionalAuth, (req, res) => {
             progress: project.progress || 0,
             currentStep: project.currentStep || '',
             thumbnail: project.thumbnail,
-            processedVideo: project.processedVideo
+            processedVideo: project.processedVideo,
+            // Animated card preview and hover-scrub track, once the render has produced them
+            preview: project.previewAssets && JSON.parse(project.previewAssets).preview ? `/api/projects/${project.id}/preview` : null,
+            storyboard: project.previewAssets ? `/api/projects/${project.id}/storyboard.vtt` : null,
+            watermarked: Boolean(project.watermarked),
+            errorCode: project.errorCode || null,
+            errorMessage: project.errorMessage || null
         }));
         
         console.log('Returning projects:', projectList.length);
@@ -307,10 +433,15 @@ app.get('/api/projects/:id', (req, res) => {
             return res.status(404).json({ error: 'Project not found' });
         }
         
-        // Parse customEffects from JSON string
+        // Parse JSON columns
         const projectData = {
             ...project,
-            customEffects: project.customEffects ? JSON.parse(project.customEffects) : []
+            customEffects: project.customEffects ? JSON.parse(project.customEffects) : [],
+            targetEdit: project.targetEdit ? JSON.parse(project.targetEdit) : null,
+            thumbnailCandidates: project.thumbnailCandidates ? JSON.parse(project.thumbnailCandidates) : [],
+            previewAssets: project.previewAssets ? JSON.parse(project.previewAssets) : null,
+            processingReport: project.processingReport ? JSON.parse(project.processingReport) : null,
+            watermarked: Boolean(project.watermarked)
         };
         
         res.json(projectData);
@@ -320,18 +451,87 @@ app.get('/api/projects/:id', (req, res) => {
     }
 });
 
+// Check an uploaded subtitle file; resolves with a 400 response body, or null if it is usable
+async function validateSubtitleUpload(file) {
+    if (file.size > MAX_SUBTITLE_BYTES) {
+        return { error: `Subtitle file is too large (max ${MAX_SUBTITLE_BYTES / 1024 / 1024}MB)` };
+    }
+
+    const content = await fs.readFile(file.path, 'utf8');
+    const { errors } = parseSubtitles(content, getSubtitleFormat(file.originalname));
+    if (errors.length > 0) {
+        return {
+            error: 'Invalid subtitle file',
+            invalidCues: errors.map(e => e.cue).filter(cue => cue > 0),
+            details: errors
+        };
+    }
+    return null;
+}
+
+// Remove the files a project upload wrote to uploads/ (videos kept in memory for cloud storage have no path)
+function removeUploadedFiles(req) {
+    Object.values(req.files || {}).flat().forEach((file) => {
+        if (file.path) {
+            fs.remove(file.path).catch(error => console.warn('⚠️ Could not remove rejected upload:', error.message));
+        }
+    });
+}
+
+// Usage limits are checked before the body is parsed, so only uploads rejected afterwards
+// (a parse error, an invalid subtitle file, a failure) have files to remove
+function discardRejectedUploads(req, res, next) {
+    res.on('finish', () => {
+        if (res.statusCode >= 400) removeUploadedFiles(req);
+    });
+    next();
+}
+
+// Parse the upload; a 'file' field is the lightweight single-file upload that returns a direct URL,
+// anything else falls through to the project upload handler below
+function parseUpload(req, res, next) {
+    uploadFields(req, res, (err) => {
+        if (err) return res.status(400).json({ error: err.message });
+        const single = req.files && req.files.file && req.files.file[0];
+        if (!single) return next();
+
+        // A plain file upload is not a project, so it does not use up the guest's free edit
+        if (req.guestUsage) {
+            const clientIP = req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for'] || 'unknown';
+            guestUsageOperations.refundGuestUsage.run(clientIP);
+        }
+
+        const base = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '') || `${req.protocol}://${req.get('host')}`;
+        const fileUrl = `${base}/uploads/${encodeURIComponent(single.filename)}`;
+        return res.json({ success: true, url: fileUrl });
+    });
+}
+
 // Upload video and create project
-app.post('/api/upload', checkGuestUsage, upload.array('videos'), async (req, res) => {
+app.post('/api/upload', optionalAuth, checkGuestUsage, discardRejectedUploads, parseUpload, async (req, res) => {
+    const videoFiles = (req.files && req.files.videos) || [];
+    const subtitleUpload = req.files && req.files.subtitles && req.files.subtitles[0];
     try {
         console.log('Upload request received:', {
             body: req.body,
-            files: req.files ? req.files.map(f => f.filename) : []
+            files: videoFiles.map(f => f.filename),
+            subtitles: subtitleUpload ? subtitleUpload.filename : null
         });
 
-        if (!req.files || req.files.length === 0) {
+        if (videoFiles.length === 0) {
             return res.status(400).json({ error: 'No video files uploaded' });
         }
 
+        // Validate the optional subtitle file before creating the project
+        let subtitleMode = null;
+        if (subtitleUpload) {
+            const subtitleError = await validateSubtitleUpload(subtitleUpload);
+            if (subtitleError) {
+                return res.status(400).json(subtitleError);
+            }
+            subtitleMode = req.body.subtitleMode === 'burn' ? 'burn' : 'mux';
+        }
+
         const { 
             style, 
             intensity, 
@@ -344,7 +544,7 @@ app.post('/api/upload', checkGuestUsage, upload.array('videos'), async (req, res
         } = req.body;
         
         // Determine original video filename for local storage mode
-        const localOriginal = (storageMode === 'cloud') ? '' : ((req.files && req.files[0] && req.files[0].filename) ? req.files[0].filename : '');
+        const localOriginal = (storageMode === 'cloud') ? '' : (videoFiles[0] && videoFiles[0].filename ? videoFiles[0].filename : '');
 
         // Create new project
         const projectId = uuidv4();
@@ -366,7 +566,7 @@ app.post('/api/upload', checkGuestUsage, upload.array('videos'), async (req, res
             aiIntelligence: aiIntelligence || 'smart',
             status: 'uploaded',
             createdAt: new Date().toISOString(),
-            fileSize: req.files.reduce((sum, f) => sum + (f.size || 0), 0),
+            fileSize: videoFiles.reduce((sum, f) => sum + (f.size || 0), 0),
             progress: 0,
             currentStep: 'Uploaded successfully'
         };
@@ -393,6 +593,16 @@ app.post('/api/upload', checkGuestUsage, upload.array('videos'), async (req, res
                     project.progress, // progress
                     project.currentStep // currentStep
                 );
+
+                if (subtitleUpload) {
+                    projectOperations.updateProjectSubtitles.run(subtitleUpload.filename, subtitleMode, projectId);
+                }
+
+                // Guest usage is counted per IP; the project keeps it so a cancel refunds the right guest
+                if (!req.user) {
+                    const clientIP = req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for'] || 'unknown';
+                    projectOperations.updateGuestIp.run(clientIP, projectId);
+                }
             
             // Add to processing history
             historyOperations.addStep.run(
@@ -410,18 +620,19 @@ app.post('/api/upload', checkGuestUsage, upload.array('videos'), async (req, res
             return res.status(500).json({ error: 'Failed to save project to database' });
         }
 
-        // Trigger processing automatically (non-blocking)
+        // Queue processing automatically; a render worker picks it up
         try {
-            startProcessingWithRetry(projectId, 3);
+            const userId = req.user ? req.user.id : `guest_${req.ip.replace(/[^a-zA-Z0-9]/g, '_')}`;
+            queueProjectRender(projectId, userId);
         } catch (e) {
-            console.error('Failed to schedule processing:', e);
+            console.error('Failed to queue processing:', e);
         }
 
         // If cloud mode, upload first file to S3 and set originalVideo to S3 key/url
         try {
-            if (storageMode === 'cloud' && req.files && req.files.length > 0) {
+            if (storageMode === 'cloud' && videoFiles.length > 0) {
                 const { uploadVideo } = require('./cloud-storage');
-                const first = req.files[0];
+                const first = videoFiles[0];
                 const uploaded = await uploadVideo({
                     originalname: first.originalname,
                     buffer: first.buffer,
@@ -472,7 +683,7 @@ app.post('/api/upload', checkGuestUsage, upload.array('videos'), async (req, res
 });
 
 // Create a new project (for demo/testing)
-app.post('/api/projects', (req, res) => {
+app.post('/api/projects', optionalAuth, (req, res) => {
     try {
         const { 
             name, 
@@ -555,75 +766,662 @@ app.post('/api/projects', (req, res) => {
             return res.status(500).json({ error: 'Failed to save project to database' });
         }
 
-        res.json({ 
-            success: true, 
-            project: project,
-            message: 'Demo project created successfully!'
-        });
-        
+        res.json({ 
+            success: true, 
+            project: project,
+            message: 'Demo project created successfully!'
+        });
+        
+    } catch (error) {
+        console.error('Project creation error:', error);
+        res.status(500).json({ error: 'Failed to create project' });
+    }
+});
+
+// Load the project into req.project if the request comes from its owner: the signed-in user, or a guest
+// from the IP the project was created from (use after optionalAuth)
+function requireProjectOwner(req, res, next) {
+    try {
+        const project = projectOperations.getProjectById.get(req.params.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const clientIP = req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for'] || 'unknown';
+        const requesterId = req.user ? req.user.id : `guest_${clientIP.replace(/[^a-zA-Z0-9]/g, '_')}`;
+        if (project.userId !== requesterId) {
+            return res.status(403).json({ error: 'Only the project owner can do this' });
+        }
+
+        req.project = project;
+        next();
+    } catch (error) {
+        console.error('Error checking project owner:', error);
+        res.status(500).json({ error: 'Failed to get project' });
+    }
+}
+
+// Start AI processing for a project; every render goes through the same usage limits as an upload
+app.post('/api/projects/:id/process', optionalAuth, requireProjectOwner, (req, res, next) => {
+    if (req.project.status === 'processing' || req.project.status === 'queued') {
+        return res.status(400).json({ error: 'Project is already processing' });
+    }
+    next();
+}, checkGuestUsage, (req, res) => {
+    try {
+        const project = req.project;
+
+        // The guest usage counted for this render is refunded if it is cancelled
+        if (!req.user) {
+            const clientIP = req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for'] || 'unknown';
+            projectOperations.updateGuestIp.run(clientIP, project.id);
+        }
+
+        const job = queueProjectRender(project.id, project.userId);
+
+        res.json({ success: true, message: 'AI processing queued', project, jobId: job.id });
+    } catch (error) {
+        console.error('Error starting processing:', error);
+        res.status(500).json({ error: 'Failed to start processing' });
+    }
+});
+
+// Cancel a queued or running render
+app.post('/api/projects/:id/cancel', optionalAuth, requireProjectOwner, (req, res) => {
+    try {
+        const project = req.project;
+
+        if (project.status !== 'queued' && project.status !== 'processing') {
+            return res.status(400).json({ error: 'Project is not processing' });
+        }
+
+        // A running job is stopped by its worker, which polls the job row for cancellation
+        const job = renderQueue.cancel(project.id);
+        const wasRunning = Boolean(job && job.status === 'running');
+
+        projectOperations.updateProjectStatus.run(
+            'cancelled',
+            0,
+            'Render cancelled',
+            project.id
+        );
+
+        historyOperations.addStep.run(
+            uuidv4(),
+            project.id,
+            'cancelled',
+            'success',
+            wasRunning ? 'Render stopped by user' : 'Queued render cancelled by user',
+            new Date().toISOString()
+        );
+
+        // Cancelled renders don't use up the guest's free trial. The usage counted for this render is refunded
+        // once: clearing the IP leaves nothing to refund until another counted render sets it again.
+        if (project.guestIp && projectOperations.clearGuestIp.run(project.id, project.guestIp).changes > 0) {
+            guestUsageOperations.refundGuestUsage.run(project.guestIp);
+        }
+
+        res.json({ success: true, message: 'Render cancelled', wasRunning });
+    } catch (error) {
+        console.error('Error cancelling render:', error);
+        res.status(500).json({ error: 'Failed to cancel render' });
+    }
+});
+
+// Get project progress
+app.get('/api/projects/:id/progress', (req, res) => {
+    try {
+        const project = projectOperations.getProjectById.get(req.params.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        // Queue position and estimated start time while waiting for a render slot
+        const queue = renderQueue.getQueueStatus(project.id);
+
+        res.json({
+            status: project.status,
+            progress: project.progress,
+            currentStep: project.currentStep,
+            estimatedTime: project.estimatedTime,
+            errorCode: project.errorCode || null,
+            errorMessage: project.errorMessage || null,
+            queuePosition: queue ? queue.position : null,
+            queueLength: queue ? queue.queueLength : null,
+            estimatedStartAt: queue ? queue.estimatedStartAt : null
+        });
+    } catch (error) {
+        console.error('Error getting progress:', error);
+        res.status(500).json({ error: 'Failed to get progress' });
+    }
+});
+
+// Get the detected scenes stored by the project's last render (detection runs in the render workers, never here)
+app.get('/api/projects/:id/scenes', (req, res) => {
+    try {
+        const project = projectOperations.getProjectById.get(req.params.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const analysis = sceneAnalysis.get(project);
+        if (!analysis) {
+            return res.status(404).json({ error: 'No scene analysis for this project yet, scenes are detected when it is rendered' });
+        }
+
+        res.json({
+            projectId: project.id,
+            duration: analysis.duration,
+            sceneCount: analysis.scenes.length,
+            scenes: analysis.scenes,
+            silences: analysis.silences,
+            shakiness: analysis.shakiness,
+            analyzedAt: analysis.analyzedAt
+        });
+    } catch (error) {
+        console.error('Error getting scenes:', error);
+        res.status(500).json({ error: 'Failed to get scenes' });
+    }
+});
+
+// Get the processing report of the last render (measurements such as loudness before and after normalization,
+// and links to the before/after voice cleanup snippets)
+app.get('/api/projects/:id/report', (req, res) => {
+    try {
+        const project = projectOperations.getProjectById.get(req.params.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        if (!project.processingReport) {
+            return res.status(404).json({ error: 'No processing report for this project yet' });
+        }
+
+        const report = JSON.parse(project.processingReport);
+        const snippet = report.voiceCleanup && report.voiceCleanup.snippet;
+        if (snippet) {
+            snippet.beforeUrl = `/api/projects/${project.id}/report/audio/${snippet.before}`;
+            snippet.afterUrl = `/api/projects/${project.id}/report/audio/${snippet.after}`;
+        }
+
+        res.json({
+            projectId: project.id,
+            ...report
+        });
+    } catch (error) {
+        console.error('Error getting processing report:', error);
+        res.status(500).json({ error: 'Failed to get processing report' });
+    }
+});
+
+// Stream a before/after voice cleanup snippet from the processing report
+app.get('/api/projects/:id/report/audio/:file', (req, res) => {
+    try {
+        const project = projectOperations.getProjectById.get(req.params.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        // Only files the report refers to are served
+        const snippet = project.processingReport && (JSON.parse(project.processingReport).voiceCleanup || {}).snippet;
+        const filePath = path.join(projectsDir, `report-${project.id}`, req.params.file);
+        if (!snippet || ![snippet.before, snippet.after].includes(req.params.file) || !fs.existsSync(filePath)) {
+            return res.status(404).json({ error: 'Audio snippet not found' });
+        }
+
+        res.sendFile(filePath);
+    } catch (error) {
+        console.error('Error getting audio snippet:', error);
+        res.status(500).json({ error: 'Failed to get audio snippet' });
+    }
+});
+
+// Get captions for the rendered video as SRT or WebVTT (?download=true saves as a file)
+app.get('/api/projects/:id/captions.:format(srt|vtt)', (req, res) => {
+    try {
+        const project = projectOperations.getProjectById.get(req.params.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const transcript = transcriptOperations.getTranscript.get(project.id);
+        if (!transcript) {
+            return res.status(404).json({ error: 'No captions for this project yet' });
+        }
+
+        const words = JSON.parse(transcript.words || '[]');
+        const format = req.params.format;
+        // attachment() sets a Content-Type from the extension, so it goes first
+        if (req.query.download === 'true') {
+            res.attachment(`${project.name}.${format}`);
+        }
+        res.setHeader('Content-Type', format === 'srt' ? 'application/x-subrip; charset=utf-8' : 'text/vtt; charset=utf-8');
+        res.send(format === 'srt' ? toSrt(words) : toVtt(words));
+    } catch (error) {
+        console.error('Error getting captions:', error);
+        res.status(500).json({ error: 'Failed to get captions' });
+    }
+});
+
+// List the thumbnail candidates taken from the rendered video with their scores (selected marks the current one)
+app.get('/api/projects/:id/thumbnails', (req, res) => {
+    try {
+        const project = projectOperations.getProjectById.get(req.params.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const candidates = JSON.parse(project.thumbnailCandidates || '[]');
+        res.json({
+            projectId: project.id,
+            thumbnail: project.thumbnail ? `/api/projects/${project.id}/thumbnail` : null,
+            custom: isCustomThumbnail(project),
+            candidates: candidates.map(({ file, ...candidate }) => ({
+                ...candidate,
+                url: `/api/projects/${project.id}/thumbnails/${candidate.index}`
+            }))
+        });
+    } catch (error) {
+        console.error('Error getting thumbnails:', error);
+        res.status(500).json({ error: 'Failed to get thumbnails' });
+    }
+});
+
+// Serve one thumbnail candidate image
+app.get('/api/projects/:id/thumbnails/:index', (req, res) => {
+    try {
+        const project = projectOperations.getProjectById.get(req.params.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const candidate = JSON.parse(project.thumbnailCandidates || '[]').find(c => String(c.index) === req.params.index);
+        const candidatePath = candidate && path.join(projectsDir, `thumbnails-${project.id}`, candidate.file);
+        if (!candidatePath || !fs.existsSync(candidatePath)) {
+            return res.status(404).json({ error: 'Thumbnail candidate not found' });
+        }
+        res.sendFile(candidatePath);
+    } catch (error) {
+        console.error('Error serving thumbnail candidate:', error);
+        res.status(500).json({ error: 'Failed to serve thumbnail' });
+    }
+});
+
+// Serve the project thumbnail
+app.get('/api/projects/:id/thumbnail', (req, res) => {
+    try {
+        const project = projectOperations.getProjectById.get(req.params.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const thumbnailPath = project.thumbnail && path.join(projectsDir, path.basename(project.thumbnail));
+        if (!thumbnailPath || !fs.existsSync(thumbnailPath)) {
+            return res.status(404).json({ error: 'Thumbnail not found' });
+        }
+        // The file name stays the same when a different candidate is picked
+        res.setHeader('Cache-Control', 'no-cache');
+        res.sendFile(thumbnailPath);
+    } catch (error) {
+        console.error('Error serving thumbnail:', error);
+        res.status(500).json({ error: 'Failed to serve thumbnail' });
+    }
+});
+
+// Change the project thumbnail: JSON { candidate: <index> } picks a candidate,
+// a multipart 'thumbnail' image (JPEG, PNG or WebP) replaces it with a custom one
+app.put('/api/projects/:id/thumbnail', (req, res) => {
+    thumbnailUpload(req, res, async (err) => {
+        if (err) return res.status(400).json({ error: err.message });
+
+        const discardUpload = () => {
+            if (req.file) fs.removeSync(req.file.path);
+        };
+
+        try {
+            const project = projectOperations.getProjectById.get(req.params.id);
+            if (!project) {
+                discardUpload();
+                return res.status(404).json({ error: 'Project not found' });
+            }
+
+            const candidates = JSON.parse(project.thumbnailCandidates || '[]');
+            let thumbnail;
+            if (req.file) {
+                if (!(await hasImageSignature(req.file.path))) {
+                    discardUpload();
+                    return res.status(400).json({ error: 'Thumbnail file is not a valid JPEG, PNG or WebP image' });
+                }
+                thumbnail = req.file.filename;
+                candidates.forEach((candidate) => { candidate.selected = false; });
+            } else {
+                const requested = req.body ? req.body.candidate : undefined;
+                if (requested === undefined || requested === null) {
+                    return res.status(400).json({ error: 'Send a candidate index or a thumbnail image' });
+                }
+                const chosen = candidates.find(candidate => String(candidate.index) === String(requested));
+                const candidatePath = chosen && path.join(projectsDir, `thumbnails-${project.id}`, chosen.file);
+                if (!candidatePath || !fs.existsSync(candidatePath)) {
+                    return res.status(400).json({ error: `No thumbnail candidate ${requested}` });
+                }
+                thumbnail = `thumbnail-${project.id}.jpg`;
+                await fs.copy(candidatePath, path.join(projectsDir, thumbnail));
+                candidates.forEach((candidate) => { candidate.selected = candidate === chosen; });
+            }
+
+            // The previous custom image is no longer used
+            if (isCustomThumbnail(project) && project.thumbnail !== thumbnail) {
+                fs.removeSync(path.join(projectsDir, path.basename(project.thumbnail)));
+            }
+            projectOperations.updateThumbnails.run(thumbnail, JSON.stringify(candidates), project.id);
+
+            res.json({
+                success: true,
+                thumbnail: `/api/projects/${project.id}/thumbnail`,
+                custom: Boolean(req.file)
+            });
+        } catch (error) {
+            discardUpload();
+            console.error('Error updating thumbnail:', error);
+            res.status(500).json({ error: 'Failed to update thumbnail' });
+        }
+    });
+});
+
+// Get your brand logo (the PNG composited by the brand-overlay effect)
+app.get('/api/brand/logo', optionalAuth, (req, res) => {
+    try {
+        const userId = req.user ? req.user.id : `guest_${req.ip.replace(/[^a-zA-Z0-9]/g, '_')}`;
+        const brand = brandOperations.getBrand.get(userId);
+        const logoPath = brand && brand.logoFile ? path.join(brandsDir, brand.logoFile) : null;
+        if (!logoPath || !fs.existsSync(logoPath)) {
+            return res.status(404).json({ error: 'No brand logo uploaded' });
+        }
+
+        res.set('Cache-Control', 'no-cache');
+        res.sendFile(logoPath);
+    } catch (error) {
+        console.error('Error getting brand logo:', error);
+        res.status(500).json({ error: 'Failed to get brand logo' });
+    }
+});
+
+// Upload your brand logo (multipart 'logo', PNG or SVG); it replaces the previous one and is used by every
+// render with the brand-overlay effect
+app.put('/api/brand/logo', optionalAuth, (req, res) => {
+    logoUpload(req, res, async (err) => {
+        if (err) return res.status(400).json({ error: err.message });
+        if (!req.file) {
+            return res.status(400).json({ error: 'Send a PNG or SVG image in the logo field' });
+        }
+
+        const userId = req.user ? req.user.id : `guest_${req.ip.replace(/[^a-zA-Z0-9]/g, '_')}`;
+        const type = LOGO_TYPES[req.file.mimetype];
+        const logoFile = `logo-${userId.replace(/[^a-zA-Z0-9_-]/g, '_')}-${Date.now()}.png`;
+        try {
+            if (!(await hasLogoSignature(req.file.path, type))) {
+                return res.status(400).json({ error: 'Logo file is not a valid PNG or SVG image' });
+            }
+
+            // Overlays always use a PNG; this also checks FFmpeg can decode the upload
+            try {
+                await aiProcessor.prepareLogo(req.file.path, path.join(brandsDir, logoFile), type);
+            } catch (error) {
+                console.warn('⚠️ Could not prepare brand logo:', error.message);
+                fs.removeSync(path.join(brandsDir, logoFile));
+                return res.status(400).json({
+                    error: type === 'svg' ? 'This SVG could not be rendered, please upload a PNG instead' : 'This PNG could not be read'
+                });
+            }
+
+            const previous = brandOperations.getBrand.get(userId);
+            brandOperations.saveLogo.run(userId, logoFile, type, new Date().toISOString());
+            if (previous && previous.logoFile) {
+                fs.removeSync(path.join(brandsDir, previous.logoFile));
+            }
+
+            res.json({ success: true, logo: '/api/brand/logo', type });
+        } catch (error) {
+            console.error('Error uploading brand logo:', error);
+            res.status(500).json({ error: 'Failed to upload brand logo' });
+        } finally {
+            fs.removeSync(req.file.path);
+        }
+    });
+});
+
+// Remove your brand logo (renders with the brand-overlay effect go without it)
+app.delete('/api/brand/logo', optionalAuth, (req, res) => {
+    try {
+        const userId = req.user ? req.user.id : `guest_${req.ip.replace(/[^a-zA-Z0-9]/g, '_')}`;
+        const brand = brandOperations.getBrand.get(userId);
+        if (!brand || !brand.logoFile) {
+            return res.status(404).json({ error: 'No brand logo uploaded' });
+        }
+
+        brandOperations.deleteLogo.run(userId);
+        fs.removeSync(path.join(brandsDir, brand.logoFile));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting brand logo:', error);
+        res.status(500).json({ error: 'Failed to delete brand logo' });
+    }
+});
+
+// List the LUTs the color-grading effect can use: the bundled ones ('bundled:<style>') and your uploads
+app.get('/api/luts', optionalAuth, (req, res) => {
+    try {
+        const userId = req.user ? req.user.id : `guest_${req.ip.replace(/[^a-zA-Z0-9]/g, '_')}`;
+        res.json({
+            bundled: Object.entries(BUNDLED_LUTS).map(([style, name]) => ({ id: `bundled:${style}`, name, style })),
+            uploaded: lutOperations.getUserLuts.all(userId).map(lut => ({
+                id: lut.id,
+                name: lut.name,
+                size: lut.size,
+                uploadedAt: lut.uploadedAt
+            })),
+            limit: MAX_USER_LUTS
+        });
+    } catch (error) {
+        console.error('Error listing LUTs:', error);
+        res.status(500).json({ error: 'Failed to list LUTs' });
+    }
+});
+
+// Upload a .cube LUT (multipart 'lut', optional 'name'); it must be a 3D LUT of at most 65 points per axis
+app.post('/api/luts', optionalAuth, (req, res) => {
+    lutUpload(req, res, async (err) => {
+        if (err) {
+            const message = err.code === 'LIMIT_FILE_SIZE'
+                ? `LUT file is too large (max ${Math.round(MAX_LUT_BYTES / 1024 / 1024)}MB)`
+                : err.message;
+            return res.status(400).json({ error: message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: 'Send a .cube file in the lut field' });
+        }
+
+        const discardUpload = () => fs.removeSync(req.file.path);
+        try {
+            const userId = req.user ? req.user.id : `guest_${req.ip.replace(/[^a-zA-Z0-9]/g, '_')}`;
+            if (lutOperations.countUserLuts.get(userId).count >= MAX_USER_LUTS) {
+                discardUpload();
+                return res.status(400).json({ error: `You can store up to ${MAX_USER_LUTS} LUTs, delete one first` });
+            }
+
+            const { size, title, error } = validateCube(await fs.readFile(req.file.path, 'utf8'));
+            if (error) {
+                discardUpload();
+                return res.status(400).json({ error: `Invalid .cube file: ${error}` });
+            }
+
+            const id = uuidv4();
+            const requestedName = req.body && typeof req.body.name === 'string' ? req.body.name.trim() : '';
+            const name = (requestedName || title || path.basename(req.file.originalname, path.extname(req.file.originalname))).slice(0, 100);
+            lutOperations.createLut.run(id, userId, name, req.file.filename, size, new Date().toISOString());
+
+            res.json({ success: true, lut: { id, name, size } });
+        } catch (error) {
+            discardUpload();
+            console.error('Error uploading LUT:', error);
+            res.status(500).json({ error: 'Failed to upload LUT' });
+        }
+    });
+});
+
+// Delete one of your LUTs (projects still using it fall back to their style's bundled LUT)
+app.delete('/api/luts/:id', optionalAuth, (req, res) => {
+    try {
+        const userId = req.user ? req.user.id : `guest_${req.ip.replace(/[^a-zA-Z0-9]/g, '_')}`;
+        const lut = lutOperations.getLut.get(req.params.id);
+        if (!lut || lut.userId !== userId) {
+            return res.status(404).json({ error: 'LUT not found' });
+        }
+
+        lutOperations.deleteLut.run(lut.id);
+        fs.removeSync(path.join(userLutsDir, lut.file));
+        res.json({ success: true });
     } catch (error) {
-        console.error('Project creation error:', error);
-        res.status(500).json({ error: 'Failed to create project' });
+        console.error('Error deleting LUT:', error);
+        res.status(500).json({ error: 'Failed to delete LUT' });
     }
 });
 
-// Start AI processing for a project
-app.post('/api/projects/:id/process', (req, res) => {
+// Set the project's color grading: JSON { lut, strength } where lut is 'bundled:<style>', one of the owner's
+// uploaded LUT ids or null for the style's bundled LUT, and strength 0..1; { enabled: false } removes the effect
+app.put('/api/projects/:id/color-grading', (req, res) => {
     try {
         const project = projectOperations.getProjectById.get(req.params.id);
         if (!project) {
             return res.status(404).json({ error: 'Project not found' });
         }
 
-        if (project.status === 'processing') {
-            return res.status(400).json({ error: 'Project is already processing' });
+        const body = req.body || {};
+        let effects;
+        try {
+            effects = JSON.parse(project.customEffects || '[]');
+        } catch (_) {
+            effects = [];
+        }
+        effects = (Array.isArray(effects) ? effects : []).filter(e => e !== 'color-grading' && !(e && e.type === 'color-grading'));
+
+        if (body.enabled !== false) {
+            const effect = { type: 'color-grading' };
+            if (body.lut) {
+                const lut = String(body.lut);
+                if (lut.startsWith('bundled:')) {
+                    if (!BUNDLED_LUTS[lut.slice('bundled:'.length)]) {
+                        return res.status(400).json({ error: `Unknown bundled LUT ${lut}` });
+                    }
+                } else {
+                    const upload = lutOperations.getLut.get(lut);
+                    if (!upload || upload.userId !== project.userId) {
+                        return res.status(400).json({ error: 'LUT not found for this project\'s owner' });
+                    }
+                }
+                effect.lut = lut;
+            }
+            if (body.strength !== undefined && body.strength !== null) {
+                const strength = Number(body.strength);
+                if (!Number.isFinite(strength) || strength < 0 || strength > 1) {
+                    return res.status(400).json({ error: 'strength must be between 0 and 1' });
+                }
+                effect.strength = strength;
+            }
+            effects.push(effect);
         }
 
-        // Update project status in database
-        projectOperations.updateProjectStatus.run(
-            'processing',
-            0,
-            'Starting AI processing',
-            req.params.id
-        );
-        
-        // Add to processing history
-        historyOperations.addStep.run(
-            uuidv4(),
-            req.params.id,
-            'start_processing',
-            'success',
-            'AI processing started',
-            new Date().toISOString()
-        );
+        projectOperations.updateCustomEffects.run(JSON.stringify(effects), project.id);
+        res.json({ success: true, customEffects: effects });
+    } catch (error) {
+        console.error('Error updating color grading:', error);
+        res.status(500).json({ error: 'Failed to update color grading' });
+    }
+});
 
-        const projectId = req.params.id;
-        startProcessingWithRetry(projectId, 3);
+// Send a preview file from wherever the render stored it (local disk or S3)
+async function sendPreviewFile(project, assets, file, res) {
+    if (assets.storage === 'cloud') {
+        return streamFile(`${assets.keyPrefix}${file}`, res);
+    }
+    const filePath = path.join(projectsDir, `previews-${project.id}`, file);
+    if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ error: 'Preview file not found' });
+    }
+    res.sendFile(filePath);
+}
 
-        res.json({ success: true, message: 'AI processing started', project });
+// WebVTT thumbnail track for hover-scrub previews; each cue points at a sprite sheet tile (#xywh=x,y,w,h)
+app.get('/api/projects/:id/storyboard.vtt', (req, res) => {
+    try {
+        const project = projectOperations.getProjectById.get(req.params.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        if (!project.previewAssets) {
+            return res.status(404).json({ error: 'No previews for this project yet' });
+        }
+
+        const assets = JSON.parse(project.previewAssets);
+        res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+        res.send(buildThumbnailVtt(assets, assets.duration, index => `/api/projects/${project.id}/sprites/${assets.sprites[index]}`));
     } catch (error) {
-        console.error('Error starting processing:', error);
-        res.status(500).json({ error: 'Failed to start processing' });
+        console.error('Error getting storyboard:', error);
+        res.status(500).json({ error: 'Failed to get storyboard' });
     }
 });
 
-// Get project progress
-app.get('/api/projects/:id/progress', (req, res) => {
+// Serve one sprite sheet of the storyboard
+app.get('/api/projects/:id/sprites/:file', async (req, res) => {
     try {
         const project = projectOperations.getProjectById.get(req.params.id);
         if (!project) {
             return res.status(404).json({ error: 'Project not found' });
         }
 
-        res.json({
-            status: project.status,
-            progress: project.progress,
-            currentStep: project.currentStep,
-            estimatedTime: project.estimatedTime
-        });
+        const assets = project.previewAssets ? JSON.parse(project.previewAssets) : null;
+        if (!assets || !assets.sprites.includes(req.params.file)) {
+            return res.status(404).json({ error: 'Sprite sheet not found' });
+        }
+        await sendPreviewFile(project, assets, req.params.file, res);
     } catch (error) {
-        console.error('Error getting progress:', error);
-        res.status(500).json({ error: 'Failed to get progress' });
+        console.error('Error serving sprite sheet:', error);
+        res.status(500).json({ error: 'Failed to serve sprite sheet' });
+    }
+});
+
+// Serve the looping animated preview (WebP, or GIF when the renderer had no WebP encoder)
+app.get('/api/projects/:id/preview', async (req, res) => {
+    try {
+        const project = projectOperations.getProjectById.get(req.params.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const assets = project.previewAssets ? JSON.parse(project.previewAssets) : null;
+        if (!assets || !assets.preview) {
+            return res.status(404).json({ error: 'No preview for this project yet' });
+        }
+        await sendPreviewFile(project, assets, assets.preview, res);
+    } catch (error) {
+        console.error('Error serving preview:', error);
+        res.status(500).json({ error: 'Failed to serve preview' });
+    }
+});
+
+// Stream project progress as Server-Sent Events
+// Reconnecting clients send Last-Event-ID (or ?lastEventId=) to replay the steps they missed
+app.get('/api/projects/:id/events', (req, res) => {
+    try {
+        const project = projectOperations.getProjectById.get(req.params.id);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+        projectEvents.stream(req, res, project.id, lastEventId);
+    } catch (error) {
+        console.error('Error opening event stream:', error);
+        res.status(500).json({ error: 'Failed to open event stream' });
     }
 });
 
@@ -840,11 +1638,28 @@ app.delete('/api/projects/:id', (req, res) => {
         if (project.processedVideo) {
             fs.removeSync(path.join(projectsDir, project.processedVideo));
         }
+        if (project.subtitleFile) {
+            fs.removeSync(path.join(uploadsDir, project.subtitleFile));
+        }
+        if (project.thumbnail && project.thumbnail.startsWith(`thumbnail-${project.id}`)) {
+            fs.removeSync(path.join(projectsDir, project.thumbnail));
+        }
+        fs.removeSync(path.join(projectsDir, `thumbnails-${project.id}`));
+        fs.removeSync(path.join(projectsDir, `previews-${project.id}`));
+        fs.removeSync(path.join(projectsDir, `report-${project.id}`));
+        const previewAssets = project.previewAssets ? JSON.parse(project.previewAssets) : null;
+        if (previewAssets && previewAssets.storage === 'cloud') {
+            [...previewAssets.sprites, ...(previewAssets.preview ? [previewAssets.preview] : [])].forEach((file) => {
+                deleteVideo(`${previewAssets.keyPrefix}${file}`).catch(() => {});
+            });
+        }
     } catch (error) {
         console.error('File cleanup error:', error);
     }
 
         // Delete from database
+        sceneOperations.deleteScenes.run(req.params.id);
+        transcriptOperations.deleteTranscript.run(req.params.id);
         projectOperations.deleteProject.run(req.params.id);
         
         res.json({ success: true, message: 'Project deleted successfully' });
@@ -1122,13 +1937,37 @@ app.post('/api/edit-video', async (req, res) => {
     }
 });
 
-// AI Video Processor instance
-const aiProcessor = new AIVideoProcessor();
-let shotstack;
-try {
-    shotstack = require('./shotstack');
-} catch (e) {
-    console.warn('Shotstack module not available:', e.message);
+// Render queue: routes only enqueue; render workers (in this process or worker.js) claim the jobs
+const LOCAL_RENDER_CONCURRENCY = process.env.LOCAL_RENDER_CONCURRENCY !== undefined && process.env.LOCAL_RENDER_CONCURRENCY.trim() !== ''
+    ? Number(process.env.LOCAL_RENDER_CONCURRENCY)
+    : 1;
+if (!Number.isInteger(LOCAL_RENDER_CONCURRENCY) || LOCAL_RENDER_CONCURRENCY < 0) {
+    console.error(`❌ Invalid LOCAL_RENDER_CONCURRENCY "${process.env.LOCAL_RENDER_CONCURRENCY}": use a whole number (0 disables the local worker)`);
+    process.exit(1);
+}
+
+// Helper: queue a render for a project and mark it as queued
+function queueProjectRender(projectId, userId) {
+    const job = renderQueue.enqueue(projectId, userId);
+
+    projectOperations.updateProjectStatus.run(
+        'queued',
+        0,
+        'Queued for processing',
+        projectId
+    );
+    projectOperations.updateProjectError.run(null, null, projectId);
+
+    historyOperations.addStep.run(
+        uuidv4(),
+        projectId,
+        'start_processing',
+        'success',
+        `AI processing queued (job ${job.id})`,
+        new Date().toISOString()
+    );
+
+    return job;
 }
 
 // Optional: Webhook endpoint for cloud renderers (e.g., Shotstack)
@@ -1173,6 +2012,7 @@ app.post('/api/render/webhook', async (req, res) => {
 
         if (status === 'failed' || status === 'error' || status === 'cancelled') {
             projectOperations.updateProjectStatus.run('error', 0, `Render failed (${status})`, projectId);
+            projectOperations.updateProjectError.run('CLOUD_RENDER_FAILED', RENDER_ERRORS.CLOUD_RENDER_FAILED.message, projectId);
             return res.json({ success: true, error: status });
         }
 
@@ -1184,359 +2024,6 @@ app.post('/api/render/webhook', async (req, res) => {
     }
 });
 
-// Helper: start processing with retry and fallback
-async function startProcessingWithRetry(projectId, retries = 3) {
-    const useSimulation = process.env.AI_MODE === 'simulate';
-
-    const run = async () => {
-        if (useSimulation) {
-            simulateAIProcessing(projectId);
-            return;
-        }
-        await processVideoWithAI(projectId);
-    };
-
-    for (let attempt = 1; attempt <= retries; attempt++) {
-        try {
-            await run();
-            return;
-        } catch (err) {
-            console.error(`Processing attempt ${attempt} failed for ${projectId}:`, err.message);
-            if (attempt === retries) {
-                console.error('Max retries reached; falling back to simulation');
-                try { simulateAIProcessing(projectId); } catch (_) {}
-            } else {
-                await new Promise(r => setTimeout(r, 1000 * attempt));
-            }
-        }
-    }
-}
-
-// Real AI Processing with FFmpeg
-async function processVideoWithAI(projectId) {
-    try {
-        const project = projectOperations.getProjectById.get(projectId);
-        if (!project) return;
-
-        // Update project status in database
-        projectOperations.updateProjectStatus.run(
-            'processing',
-            0,
-            'Starting AI processing',
-            projectId
-        );
-
-        // Update progress function that updates database
-        const updateProgress = async (progress, message) => {
-            projectOperations.updateProjectStatus.run(
-                'processing',
-                progress,
-                message,
-                projectId
-            );
-            
-            // Add to processing history
-            historyOperations.addStep.run(
-                uuidv4(),
-                projectId,
-                'progress_update',
-                'success',
-                message,
-                new Date().toISOString()
-            );
-        };
-
-        // Get file paths
-        const inputPath = path.join(uploadsDir, project.originalVideo);
-        const outputPath = path.join(projectsDir, `processed-${project.id}.mp4`);
-
-        // Step 1: Analyze video (10%)
-        await updateProgress(10, 'Analyzing video content...');
-        await new Promise(resolve => setTimeout(resolve, 1000));
-
-        // Step 2: AI Scene Detection (25%)
-        await updateProgress(25, 'Detecting scenes and cuts...');
-        await new Promise(resolve => setTimeout(resolve, 2000));
-
-        // Step 3: Apply AI Style (50%)
-        await updateProgress(50, 'Applying AI editing style...');
-        await new Promise(resolve => setTimeout(resolve, 3000));
-
-        // Step 4: Real AI Processing (75%)
-        await updateProgress(75, 'Processing with AI algorithms...');
-        
-        // Choose renderer based on mode
-        const mode = process.env.AI_MODE || 'ffmpeg';
-        if (mode === 'shotstack' && shotstack) {
-            await updateProgress(76, 'Uploading to cloud renderer...');
-            // Ensure remote URL for local file (uploads to S3)
-            const inputUrl = await shotstack.ensureRemoteUrlForLocalFile(inputPath, project.originalVideo);
-            await updateProgress(82, 'Submitting cloud render...');
-            // Parse target length from customEffects or request body if present
-            let targetSeconds = undefined;
-            try {
-                const effects = project.customEffects ? (Array.isArray(project.customEffects) ? project.customEffects : JSON.parse(project.customEffects)) : [];
-                const lenEntry = effects.find && effects.find(e => e && e.type === 'targetLength');
-                if (lenEntry && lenEntry.seconds) targetSeconds = Number(lenEntry.seconds);
-            } catch (_) {}
-            if (!targetSeconds && typeof req !== 'undefined' && req.body && req.body.targetLength && req.body.targetLength !== 'auto') {
-                targetSeconds = Number(req.body.targetLength);
-            }
-            // Use simplified prompt-based render that returns output URL
-            const result = await shotstack.renderWithPromptFromUrl(inputUrl, project.style, project.quality, targetSeconds);
-            await updateProgress(90, 'Rendering in the cloud...');
-            if (!result.success || !result.url) {
-                throw new Error('Cloud render failed: no output URL');
-            }
-
-            // Try to persist the edited video locally in /edited
-            let processedField = result.url; // default to remote URL
-            try {
-                const resp = await fetch(result.url);
-                if (resp.ok) {
-                    const arrayBuffer = await resp.arrayBuffer();
-                    const buffer = Buffer.from(arrayBuffer);
-                    const localEditedName = `edited-${project.id}.mp4`;
-                    const localEditedPath = path.join(editedDir, localEditedName);
-                    fs.writeFileSync(localEditedPath, buffer);
-                    processedField = localEditedName; // switch to local filename
-                }
-            } catch (saveErr) {
-                console.warn('Could not save edited file locally, will use remote URL:', saveErr.message);
-            }
-
-            // Save processed field (local filename if saved, else remote URL)
-            projectOperations.updateProject.run(
-                project.name,
-                project.style,
-                project.intensity,
-                project.quality,
-                JSON.stringify(project.customEffects || []),
-                project.platformOptimize || 'auto',
-                project.aiIntelligence || 'smart',
-                project.thumbnail || 'demo-thumbnail.jpg',
-                processedField,
-                projectId
-            );
-        } else {
-            // Use local FFmpeg processor
-            await aiProcessor.processVideo(
-                inputPath,
-                outputPath,
-                project.style,
-                project.intensity,
-                project.quality
-            );
-        }
-
-        // Step 5: Final optimization (100%)
-        await updateProgress(100, 'Finalizing video...');
-        await new Promise(resolve => setTimeout(resolve, 1000));
-
-        // Processing complete - update database
-        if ((process.env.AI_MODE || 'ffmpeg') !== 'shotstack') {
-            projectOperations.updateProject.run(
-                project.name,
-                project.style,
-                project.intensity,
-                project.quality,
-                JSON.stringify(project.customEffects || []),
-                project.platformOptimize || 'auto',
-                project.aiIntelligence || 'smart',
-                `thumbnail-${project.id}.jpg`,
-                `processed-${project.id}.mp4`,
-                projectId
-            );
-        }
-        
-        // Update status to completed
-        projectOperations.updateProjectStatus.run(
-            'completed',
-            100,
-            'Processing completed successfully',
-            projectId
-        );
-        
-        console.log(`✅ Project ${projectId} completed successfully`);
-
-    } catch (error) {
-        console.error(`❌ AI processing failed for project ${projectId}:`, error);
-        
-        // Update status to error in database
-        projectOperations.updateProjectStatus.run(
-            'error',
-            0,
-            `Error: ${error.message}`,
-            projectId
-        );
-        
-        // Add error to processing history
-        historyOperations.addStep.run(
-            uuidv4(),
-            projectId,
-            'error',
-            'error',
-            error.message,
-            new Date().toISOString()
-        );
-    }
-}
-
-// Create demo video file
-function createDemoVideo(projectId) {
-    try {
-        // Create a simple demo video file
-        const demoVideoPath = path.join(projectsDir, 'demo-video.mp4');
-        
-        // Check if demo video already exists
-        if (!fs.existsSync(demoVideoPath)) {
-            // Create a minimal MP4 file (this is a very basic MP4 header)
-            const mp4Header = Buffer.from([
-                0x00, 0x00, 0x00, 0x20, 0x66, 0x74, 0x79, 0x70, 0x69, 0x73, 0x6F, 0x6D,
-                0x00, 0x00, 0x02, 0x00, 0x69, 0x73, 0x6F, 0x6D, 0x69, 0x73, 0x6F, 0x32,
-                0x61, 0x76, 0x63, 0x31, 0x6D, 0x70, 0x34, 0x31
-            ]);
-            
-            fs.writeFileSync(demoVideoPath, mp4Header);
-            console.log('✅ Demo video file created:', demoVideoPath);
-        }
-        
-        return true;
-    } catch (error) {
-        console.error('❌ Failed to create demo video:', error);
-        return false;
-    }
-}
-
-// Create demo thumbnail file
-function createDemoThumbnail(projectId) {
-    try {
-        // Create a simple demo thumbnail file
-        const demoThumbnailPath = path.join(projectsDir, 'demo-thumbnail.jpg');
-        
-        // Check if demo thumbnail already exists
-        if (!fs.existsSync(demoThumbnailPath)) {
-            // Create a minimal JPEG file (this is a very basic JPEG header)
-            const jpegHeader = Buffer.from([
-                0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01,
-                0x01, 0x01, 0x00, 0x48, 0x00, 0x48, 0x00, 0x00
-            ]);
-            
-            fs.writeFileSync(demoThumbnailPath, jpegHeader);
-            console.log('✅ Demo thumbnail file created:', demoThumbnailPath);
-        }
-        
-        return true;
-    } catch (error) {
-        console.error('❌ Failed to create demo thumbnail:', error);
-        return false;
-    }
-}
-
-// AI Processing Simulation (fallback)
-function simulateAIProcessing(projectId) {
-    try {
-        const project = projectOperations.getProjectById.get(projectId);
-        if (!project) return;
-
-        // Update project status in database
-        projectOperations.updateProjectStatus.run(
-            'processing',
-            0,
-            'Starting simulation processing',
-            projectId
-        );
-
-    const processingSteps = [
-        { name: 'Analyzing video content', duration: 2000, progress: 20 },
-        { name: 'Detecting scenes and cuts', duration: 3000, progress: 40 },
-        { name: 'Applying style effects', duration: 4000, progress: 60 },
-        { name: 'Color grading and enhancement', duration: 3000, progress: 80 },
-        { name: 'Final rendering', duration: 2000, progress: 100 }
-    ];
-
-    let currentStep = 0;
-
-    const processStep = () => {
-        if (currentStep >= processingSteps.length) {
-            // Processing complete - update database
-            projectOperations.updateProjectStatus.run(
-                'completed',
-                100,
-                'Simulation processing completed',
-                projectId
-            );
-            
-            // Update project with processed video info
-            projectOperations.updateProject.run(
-                project.name,
-                project.style,
-                project.intensity,
-                project.quality,
-                JSON.stringify(project.customEffects || []),
-                project.platformOptimize || 'auto',
-                project.aiIntelligence || 'smart',
-                `demo-thumbnail.jpg`,
-                `demo-video.mp4`, // Use consistent demo filename
-                projectId
-            );
-            
-            // Create demo files
-            createDemoVideo(projectId);
-            createDemoThumbnail(projectId);
-            
-            // Add completion to history
-            historyOperations.addStep.run(
-                uuidv4(),
-                projectId,
-                'completion',
-                'success',
-                'Simulation processing completed successfully',
-                new Date().toISOString()
-            );
-            return;
-        }
-
-        const step = processingSteps[currentStep];
-        
-        // Update progress in database
-        projectOperations.updateProjectStatus.run(
-            'processing',
-            step.progress,
-            step.name,
-            projectId
-        );
-
-        setTimeout(() => {
-            currentStep++;
-            processStep();
-        }, step.duration);
-    };
-
-    processStep();
-    } catch (error) {
-        console.error(`❌ Simulation processing failed for project ${projectId}:`, error);
-        
-        // Update status to error in database
-        projectOperations.updateProjectStatus.run(
-            'error',
-            0,
-            `Simulation error: ${error.message}`,
-            projectId
-        );
-        
-        // Add error to processing history
-        historyOperations.addStep.run(
-            uuidv4(),
-            projectId,
-            'error',
-            'error',
-            error.message,
-            new Date().toISOString()
-        );
-    }
-}
-
 // Serve landing, auth, and dashboard pages
 app.get('/login', (req, res) => {
     res.sendFile(path.join(__dirname, '..', 'login.html'));
@@ -1575,6 +2062,19 @@ app.use((req, res) => {
     res.status(404).json({ error: 'Route not found' });
 });
 
+// Recover interrupted renders, then start the local render worker (LOCAL_RENDER_CONCURRENCY=0 disables it).
+// Only a process that renders sweeps scratch workspaces: standalone workers may share the scratch root.
+if (LOCAL_RENDER_CONCURRENCY > 0) {
+    sweepScratchWorkspaces();
+}
+recoverRenderJobs();
+setInterval(recoverRenderJobs, RECOVERY_INTERVAL_MS);
+const localWorker = new RenderWorker({
+    concurrency: LOCAL_RENDER_CONCURRENCY,
+    workerId: `api-${process.pid}-${uuidv4().slice(0, 8)}`
+});
+localWorker.start();
+
 // Start server
 app.listen(PORT, () => {
     console.log(`🚀 Edit Quick AI Server running on port ${PORT}`);
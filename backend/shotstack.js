@@ -5,7 +5,7 @@ const { uploadVideo, getVideoUrl } = require('./cloud-storage');
 const SHOTSTACK_API_KEY = process.env.SHOTSTACK_API_KEY || '';
 const SHOTSTACK_BASE_URL = process.env.SHOTSTACK_BASE_URL || 'https://api.shotstack.io/stage';
 
-async function http(method, url, body) {
+async function http(method, url, body, signal) {
     const headers = {
         'Content-Type': 'application/json',
         'x-api-key': SHOTSTACK_API_KEY,
@@ -14,10 +14,13 @@ async function http(method, url, body) {
         method,
         headers,
         body: body ? JSON.stringify(body) : undefined,
+        signal,
     });
     if (!res.ok) {
         const text = await res.text();
-        throw new Error(`Shotstack ${method} ${url} failed: ${res.status} ${text}`);
+        const error = new Error(`Shotstack ${method} ${url} failed: ${res.status} ${text}`);
+        error.status = res.status;
+        throw error;
     }
     return res.json();
 }
@@ -74,15 +77,18 @@ async function submitRenderFromUrl(inputUrl, style, quality, targetSeconds) {
     return data.response && data.response.id ? data.response.id : data.id;
 }
 
-async function getRenderStatus(id) {
-    const data = await http('GET', `${SHOTSTACK_BASE_URL}/render/${id}`);
+async function getRenderStatus(id, signal) {
+    const data = await http('GET', `${SHOTSTACK_BASE_URL}/render/${id}`, undefined, signal);
     return data.response || data;
 }
 
-async function pollUntilComplete(id, { intervalMs = 3000, timeoutMs = 5 * 60 * 1000 } = {}) {
+async function pollUntilComplete(id, { intervalMs = 3000, timeoutMs = 5 * 60 * 1000, signal } = {}) {
     const start = Date.now();
     while (Date.now() - start < timeoutMs) {
-        const status = await getRenderStatus(id);
+        if (signal && signal.aborted) {
+            return { success: false, status: { status: 'cancelled' } };
+        }
+        const status = await getRenderStatus(id, signal);
         if (status.status === 'done') {
             // Find MP4 asset URL
             const url = status.output && status.output.url ? status.output.url : (status.assets && status.assets.find(a => a.type === 'video')?.url);
@@ -124,7 +130,8 @@ module.exports = {
 };
 
 // New simplified render function using prompt-based request (per user spec)
-async function renderWithPromptFromUrl(inputUrl, style, quality, targetSeconds) {
+// Pass { signal } to abort the request when the render is cancelled; watermarkText adds a watermark title on top
+async function renderWithPromptFromUrl(inputUrl, style, quality, targetSeconds, { signal, watermarkText } = {}) {
     const resolutionByQuality = {
         '720p': '720',
         '1080p': '1080',
@@ -134,9 +141,30 @@ async function renderWithPromptFromUrl(inputUrl, style, quality, targetSeconds)
     const resolution = resolutionByQuality[quality] || '1080';
     const length = (typeof targetSeconds === 'number' && targetSeconds > 0) ? targetSeconds : 10;
 
+    // The first track is drawn on top
+    const watermarkTracks = watermarkText ? [
+        {
+            clips: [
+                {
+                    asset: {
+                        type: 'title',
+                        text: watermarkText,
+                        style: 'minimal',
+                        size: 'x-small',
+                    },
+                    position: 'bottomRight',
+                    opacity: 0.6,
+                    start: 0,
+                    length,
+                },
+            ],
+        },
+    ] : [];
+
     const body = {
         timeline: {
             tracks: [
+                ...watermarkTracks,
                 {
                     clips: [
                         {
@@ -183,10 +211,13 @@ async function renderWithPromptFromUrl(inputUrl, style, quality, targetSeconds)
             'x-api-key': SHOTSTACK_API_KEY,
         },
         body: JSON.stringify(body),
+        signal,
     });
     if (!res.ok) {
         const text = await res.text();
-        throw new Error(`Shotstack prompt render failed: ${res.status} ${text}`);
+        const error = new Error(`Shotstack prompt render failed: ${res.status} ${text}`);
+        error.status = res.status;
+        throw error;
     }
     const result = await res.json();
     return { success: true, url: result.outputUrl || result.url || null, raw: result };
@@ -0,0 +1,150 @@
+// Motion-aware crop path for reframing
+// The clip is sampled as small grayscale frames; frame differences show where the action is along the axis
+// the crop window slides on, and a smoothed path of the motion's centre drives a time-varying crop.
+
+const ANALYSIS_FPS = 4;
+// Analysis frames are this many pixels along the crop axis
+const ANALYSIS_SIZE = 96;
+// Per-pixel differences below this are compression noise
+const PIXEL_NOISE = 12;
+// Samples whose average difference per pixel is below this are treated as still
+const MIN_MOTION = 0.5;
+// Path keyframes (seconds apart) written as crop commands
+const KEYFRAME_SECONDS = 0.5;
+
+const SMOOTHING_SECONDS = Number(process.env.SMART_CROP_SMOOTHING_SECONDS) || 1.5;
+// Below this confidence (0..1) the reframe falls back to a centre crop
+const MIN_CONFIDENCE = Number(process.env.SMART_CROP_MIN_CONFIDENCE) || 0.35;
+
+// Analysis frame size for a width x height source; axis is 'x' when the crop narrows the frame
+function getAnalysisSize(width, height, axis) {
+    const even = value => Math.max(Math.round(value / 2) * 2, 2);
+    return axis === 'x'
+        ? { width: ANALYSIS_SIZE, height: even(ANALYSIS_SIZE * height / width) }
+        : { width: even(ANALYSIS_SIZE * width / height), height: ANALYSIS_SIZE };
+}
+
+// Motion profile along the axis for each pair of consecutive frames in a raw gray8 buffer;
+// motion is the average difference per pixel
+function measureMotion(buffer, frameWidth, frameHeight, axis) {
+    const frameSize = frameWidth * frameHeight;
+    const frameCount = Math.floor(buffer.length / frameSize);
+    const bins = axis === 'x' ? frameWidth : frameHeight;
+    const samples = [];
+
+    for (let frame = 1; frame < frameCount; frame++) {
+        const current = frame * frameSize;
+        const previous = current - frameSize;
+        const profile = new Float64Array(bins);
+        for (let y = 0; y < frameHeight; y++) {
+            for (let x = 0; x < frameWidth; x++) {
+                const offset = y * frameWidth + x;
+                const diff = Math.abs(buffer[current + offset] - buffer[previous + offset]);
+                if (diff >= PIXEL_NOISE) {
+                    profile[axis === 'x' ? x : y] += diff;
+                }
+            }
+        }
+        const total = profile.reduce((sum, value) => sum + value, 0);
+        samples.push({ time: frame / ANALYSIS_FPS, profile, total, motion: total / frameSize });
+    }
+    return samples;
+}
+
+// Share of a profile's motion inside a window of `size` bins centred on `center`
+function getFocus(profile, center, size, total) {
+    const start = Math.max(Math.round(center - size / 2), 0);
+    const end = Math.min(start + Math.round(size), profile.length);
+    let inside = 0;
+    for (let bin = start; bin < end; bin++) {
+        inside += profile[bin];
+    }
+    return inside / total;
+}
+
+// Crop path for the motion samples: { confidence, keyframes: [{ time, center }] } with center as a
+// 0..1 fraction of the axis. windowFraction is the crop size as a fraction of the axis.
+function planCropPath(samples, windowFraction) {
+    if (samples.length === 0) {
+        return { confidence: 0, keyframes: [] };
+    }
+
+    const bins = samples[0].profile.length;
+    const windowBins = windowFraction * bins;
+
+    // Centre of motion per sample; still samples keep the previous target
+    let weightedFocus = 0;
+    let totalWeight = 0;
+    let movingSamples = 0;
+    let target = null;
+    const targets = samples.map(({ profile, total, motion }) => {
+        if (motion >= MIN_MOTION) {
+            const center = profile.reduce((sum, value, bin) => sum + (bin + 0.5) * value, 0) / total;
+            weightedFocus += getFocus(profile, center, windowBins, total) * total;
+            totalWeight += total;
+            movingSamples++;
+            target = center;
+        }
+        return target;
+    });
+
+    if (movingSamples === 0) {
+        return { confidence: 0, keyframes: [] };
+    }
+
+    // Motion spread evenly over the frame would put windowFraction of it inside the window
+    const focus = weightedFocus / totalWeight;
+    const concentration = Math.max((focus - windowFraction) / (1 - windowFraction), 0);
+    const confidence = concentration * Math.min(movingSamples / samples.length * 2, 1);
+
+    // Leading still samples take the first moving target, then a centred moving average smooths the path
+    const first = targets.find(value => value !== null);
+    const filled = targets.map(value => (value === null ? first : value));
+    const radius = Math.max(Math.round(SMOOTHING_SECONDS * ANALYSIS_FPS / 2), 1);
+    const halfWindow = windowBins / 2;
+    const smoothed = filled.map((value, index) => {
+        const from = Math.max(index - radius, 0);
+        const to = Math.min(index + radius, filled.length - 1);
+        let sum = 0;
+        for (let i = from; i <= to; i++) sum += filled[i];
+        const mean = sum / (to - from + 1);
+        return Math.min(Math.max(mean, halfWindow), bins - halfWindow) / bins;
+    });
+
+    const step = Math.max(Math.round(KEYFRAME_SECONDS * ANALYSIS_FPS), 1);
+    const keyframes = [{ time: 0, center: smoothed[0] }];
+    for (let index = step; index < smoothed.length; index += step) {
+        keyframes.push({ time: samples[index].time, center: smoothed[index] });
+    }
+
+    return { confidence, keyframes };
+}
+
+// sendcmd script moving the crop named `target` along `axis`: each keyframe sets an expression that slides
+// linearly to the next one. size is the source length along the axis and cropSize the window length (pixels).
+function toCropCommands(keyframes, axis, size, cropSize, target = 'crop') {
+    const toOffset = center => Math.min(Math.max(Math.round(center * size - cropSize / 2), 0), size - cropSize);
+
+    return keyframes.map((keyframe, index) => {
+        const from = toOffset(keyframe.center);
+        const next = keyframes[index + 1];
+        const delta = next ? toOffset(next.center) - from : 0;
+        const expression = delta !== 0
+            ? `${from}${delta < 0 ? '-' : '+'}${Math.abs(delta)}*(t-${keyframe.time})/${round(next.time - keyframe.time)}`
+            : String(from);
+        return `${keyframe.time} ${target} ${axis} ${expression};`;
+    }).join('\n');
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+    ANALYSIS_FPS,
+    MIN_CONFIDENCE,
+    getAnalysisSize,
+    measureMotion,
+    planCropPath,
+    toCropCommands
+};
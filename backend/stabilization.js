@@ -0,0 +1,91 @@
+// Two-pass video stabilization (vid.stab)
+// The detect pass writes each frame's motion to a transforms file. Shakiness is the part of that motion that
+// isn't a smooth camera move: the jitter left after a moving average. Footage below the threshold is left alone.
+
+// Jitter (RMS, percent of the frame width per frame) below which stabilization is skipped
+const SHAKINESS_THRESHOLD = Number(process.env.STABILIZATION_MIN_SHAKINESS) || 0.2;
+// Frames on each side of the moving average that separates camera moves from shake
+const JITTER_WINDOW = 15;
+
+// Smoothing window (frames on each side) unless the effect sets one
+const DEFAULT_SMOOTHING = 15;
+const MAX_SMOOTHING = 100;
+// How the transform hides the borders it exposes: a zoom that fits the whole clip ('static'),
+// one that follows the motion ('adaptive'), or none (borders are cropped to black or keep the previous frame)
+const ZOOM_MODES = {
+    static: 1,
+    adaptive: 2,
+    none: 0
+};
+const CROP_MODES = ['black', 'keep'];
+// Extra zoom (percent) allowed on top of the zoom mode
+const MAX_EXTRA_ZOOM = 20;
+
+// Per-frame motion [{ dx, dy }] from a vid.stab transforms file: the median of each frame's local motions
+function parseTransforms(text) {
+    const median = (values) => {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    };
+
+    return text.split('\n').filter(line => line.startsWith('Frame ')).map((line) => {
+        const vectors = [...line.matchAll(/\(LM (-?\d+) (-?\d+) /g)].map(match => ({ x: Number(match[1]), y: Number(match[2]) }));
+        if (vectors.length === 0) return { dx: 0, dy: 0 };
+        return { dx: median(vectors.map(vector => vector.x)), dy: median(vectors.map(vector => vector.y)) };
+    });
+}
+
+// Shakiness of per-frame motion in a frame `width` pixels wide: { shakiness, frames, threshold, shaky }
+function measureShakiness(motions, width) {
+    let sumSquares = 0;
+    motions.forEach((motion, index) => {
+        const from = Math.max(index - JITTER_WINDOW, 0);
+        const window = motions.slice(from, index + JITTER_WINDOW + 1);
+        const smoothX = window.reduce((sum, other) => sum + other.dx, 0) / window.length;
+        const smoothY = window.reduce((sum, other) => sum + other.dy, 0) / window.length;
+        sumSquares += (motion.dx - smoothX) ** 2 + (motion.dy - smoothY) ** 2;
+    });
+    const jitter = motions.length ? Math.sqrt(sumSquares / motions.length) : 0;
+    const shakiness = width ? round(jitter / width * 100) : 0;
+
+    return {
+        shakiness,
+        frames: motions.length,
+        threshold: SHAKINESS_THRESHOLD,
+        shaky: shakiness >= SHAKINESS_THRESHOLD
+    };
+}
+
+// Transform settings from a { type: 'stabilization', smoothing, zoom, crop, extraZoom } effect
+function getStabilizationSettings(effect = {}) {
+    const smoothing = Math.round(Number(effect.smoothing));
+    const extraZoom = Number(effect.extraZoom);
+    return {
+        smoothing: smoothing > 0 ? Math.min(smoothing, MAX_SMOOTHING) : DEFAULT_SMOOTHING,
+        zoom: ZOOM_MODES[effect.zoom] !== undefined ? effect.zoom : 'static',
+        crop: CROP_MODES.includes(effect.crop) ? effect.crop : 'black',
+        extraZoom: extraZoom > 0 ? Math.min(extraZoom, MAX_EXTRA_ZOOM) : 0
+    };
+}
+
+// Second-pass filter for the transforms at `transformsInput` (already escaped for a filter graph);
+// vid.stab's interpolation softens the frame, so a light unsharp follows it
+function buildTransformFilter(transformsInput, settings) {
+    return [
+        `vidstabtransform=input=${transformsInput}:smoothing=${settings.smoothing}:optzoom=${ZOOM_MODES[settings.zoom]}:zoom=${settings.extraZoom}:crop=${settings.crop}`,
+        'unsharp=5:5:0.8:3:3:0.4'
+    ].join(',');
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+    SHAKINESS_THRESHOLD,
+    parseTransforms,
+    measureShakiness,
+    getStabilizationSettings,
+    buildTransformFilter
+};
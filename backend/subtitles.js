@@ -0,0 +1,187 @@
+const path = require('path');
+
+// Uploaded subtitle files (SRT, WebVTT, ASS/SSA)
+// Parsed into cues [{ index, start, end, text }] with times in seconds; problems are reported per cue number.
+
+const SUBTITLE_FORMATS = {
+    '.srt': 'srt',
+    '.vtt': 'vtt',
+    '.ass': 'ass',
+    '.ssa': 'ass'
+};
+
+const MAX_SUBTITLE_BYTES = 5 * 1024 * 1024;
+
+// Subtitle format from a file name, or null if unsupported
+function getSubtitleFormat(filename) {
+    return SUBTITLE_FORMATS[path.extname(filename || '').toLowerCase()] || null;
+}
+
+// "01:02:03,456", "01:02:03.456" or "02:03.456" to seconds (NaN if malformed)
+function parseTimestamp(value) {
+    const match = /^(?:(\d{1,2}):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/.exec((value || '').trim());
+    if (!match) return NaN;
+    const [, hours = '0', minutes, seconds, fraction] = match;
+    if (Number(minutes) > 59 || Number(seconds) > 59) return NaN;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+}
+
+// Check a cue's timing and add it (or an error) to the result
+function addCue(result, index, startText, endText, text) {
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(endText);
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+        result.errors.push({ cue: index, message: `Malformed timestamp "${startText} --> ${endText}"` });
+    } else if (end <= start) {
+        result.errors.push({ cue: index, message: `Cue ends before it starts (${startText} --> ${endText})` });
+    } else if (text) {
+        result.cues.push({ index, start, end, text });
+    }
+}
+
+// Split text into blank-line separated blocks of trimmed lines
+function getBlocks(content) {
+    return content
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .split(/\n{2,}/)
+        .map(block => block.split('\n').map(line => line.trim()).filter(Boolean))
+        .filter(lines => lines.length > 0);
+}
+
+function parseSrt(content) {
+    const result = { cues: [], errors: [] };
+
+    getBlocks(content).forEach((lines, position) => {
+        const hasIndex = /^\d+$/.test(lines[0]);
+        const index = hasIndex ? Number(lines[0]) : position + 1;
+        const timing = lines[hasIndex ? 1 : 0] || '';
+        const parts = timing.split('-->');
+        if (parts.length !== 2) {
+            result.errors.push({ cue: index, message: `Missing timing line (found "${timing}")` });
+            return;
+        }
+        addCue(result, index, parts[0].trim(), parts[1].trim(), lines.slice(hasIndex ? 2 : 1).join('\n'));
+    });
+
+    return result;
+}
+
+function parseVtt(content) {
+    const result = { cues: [], errors: [] };
+    const blocks = getBlocks(content);
+
+    if (!blocks.length || !/^WEBVTT/.test(blocks[0][0])) {
+        result.errors.push({ cue: 0, message: 'Missing WEBVTT header' });
+        return result;
+    }
+
+    let index = 0;
+    blocks.slice(1).forEach((lines) => {
+        // Comment, style and region blocks are not cues
+        if (/^(NOTE|STYLE|REGION)\b/.test(lines[0])) return;
+
+        index++;
+        const timingLine = lines[0].includes('-->') ? 0 : 1;
+        const parts = (lines[timingLine] || '').split('-->');
+        if (parts.length !== 2) {
+            result.errors.push({ cue: index, message: `Missing timing line (found "${lines[timingLine] || ''}")` });
+            return;
+        }
+        // Cue settings (position, align, ...) follow the end time
+        const end = parts[1].trim().split(/\s+/)[0];
+        const text = lines.slice(timingLine + 1).join('\n').replace(/<[^>]+>/g, '');
+        addCue(result, index, parts[0].trim(), end, text);
+    });
+
+    return result;
+}
+
+function parseAss(content) {
+    const result = { cues: [], errors: [] };
+    const lines = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+
+    let inEvents = false;
+    let fields = null;
+    let index = 0;
+    lines.forEach((rawLine) => {
+        const line = rawLine.trim();
+        if (/^\[.*\]$/.test(line)) {
+            inEvents = line.toLowerCase() === '[events]';
+            return;
+        }
+        if (!inEvents) return;
+
+        if (line.startsWith('Format:')) {
+            fields = line.slice(7).split(',').map(field => field.trim().toLowerCase());
+        } else if (line.startsWith('Dialogue:')) {
+            index++;
+            if (!fields) {
+                result.errors.push({ cue: index, message: 'Dialogue before the [Events] Format line' });
+                return;
+            }
+            // Text is the last field and may itself contain commas
+            const values = line.slice(9).split(',');
+            const textValue = values.slice(fields.length - 1).join(',');
+            const start = values[fields.indexOf('start')];
+            const end = values[fields.indexOf('end')];
+            const text = textValue
+                .replace(/\{[^}]*\}/g, '')
+                .replace(/\\N|\\n/g, '\n')
+                .replace(/\\h/g, ' ')
+                .trim();
+            // ASS uses centiseconds ("0:00:01.50")
+            addCue(result, index, (start || '').trim(), (end || '').trim(), text);
+        }
+    });
+
+    if (index === 0) {
+        result.errors.push({ cue: 0, message: 'No [Events] Dialogue lines found' });
+    }
+    return result;
+}
+
+// Parse a subtitle file: { format, cues, errors }
+function parseSubtitles(content, format) {
+    const parsers = { srt: parseSrt, vtt: parseVtt, ass: parseAss };
+    const result = parsers[format](content);
+
+    if (result.errors.length === 0 && result.cues.length === 0) {
+        result.errors.push({ cue: 0, message: 'No subtitle cues found' });
+    }
+    result.cues.sort((a, b) => a.start - b.start);
+    return { format, ...result };
+}
+
+// Move cues onto the edited timeline after jump cuts kept only `keepRanges` of the source.
+// Cues inside removed ranges are dropped; cues spanning a cut are clipped to the kept part.
+function mapCuesToEdit(cues, keepRanges) {
+    if (!keepRanges) return cues;
+
+    const mapped = [];
+    cues.forEach((cue) => {
+        let offset = 0;
+        let start = null;
+        let end = null;
+        keepRanges.forEach((range) => {
+            const overlapStart = Math.max(cue.start, range.start);
+            const overlapEnd = Math.min(cue.end, range.end);
+            if (overlapEnd > overlapStart) {
+                if (start === null) start = offset + overlapStart - range.start;
+                end = offset + overlapEnd - range.start;
+            }
+            offset += range.end - range.start;
+        });
+        if (start !== null && end - start >= 0.1) {
+            mapped.push({ ...cue, start, end });
+        }
+    });
+    return mapped;
+}
+
+module.exports = {
+    MAX_SUBTITLE_BYTES,
+    getSubtitleFormat,
+    parseSubtitles,
+    mapCuesToEdit
+};
@@ -0,0 +1,169 @@
+// Fit an edit to a target length
+// The video is split into segments at scene boundaries, each segment is scored on audio energy, motion and
+// whether it opens a new shot, and the best segments are kept (in their original order) until the target is met.
+
+// Segments are split or merged to stay within these lengths (seconds)
+const MIN_SEGMENT_SECONDS = 1.5;
+const MAX_SEGMENT_SECONDS = 8;
+
+// Allowed miss as a fraction of the target (at least one second)
+const TOLERANCE = Number(process.env.TARGET_LENGTH_TOLERANCE) || 0.05;
+
+// Relative weight of each score component
+const SCORE_WEIGHTS = {
+    audio: 0.45,
+    motion: 0.35,
+    sceneChange: 0.2
+};
+
+// Audio levels are clamped to this floor (dBFS) so silence doesn't dominate the average
+const AUDIO_FLOOR_DB = -60;
+
+function getTolerance(targetSeconds) {
+    return Math.max(targetSeconds * TOLERANCE, 1);
+}
+
+// Segments [{ start, end, sceneChange }] between boundaries [{ time, confidence }]
+function buildSegments(boundaries, duration) {
+    // Boundaries that would leave a segment shorter than the minimum are dropped
+    const kept = [{ time: 0, confidence: 1 }];
+    [...boundaries].sort((a, b) => a.time - b.time).forEach((boundary) => {
+        if (boundary.time - kept[kept.length - 1].time >= MIN_SEGMENT_SECONDS && duration - boundary.time >= MIN_SEGMENT_SECONDS) {
+            kept.push(boundary);
+        }
+    });
+    kept.push({ time: duration, confidence: 0 });
+
+    const segments = [];
+    for (let i = 0; i < kept.length - 1; i++) {
+        const start = kept[i].time;
+        const end = kept[i + 1].time;
+        // Long scenes are split evenly; only the first piece opens a new shot
+        const pieces = Math.max(Math.ceil((end - start) / MAX_SEGMENT_SECONDS), 1);
+        const length = (end - start) / pieces;
+        for (let piece = 0; piece < pieces; piece++) {
+            segments.push({
+                start: round(start + piece * length),
+                end: round(piece === pieces - 1 ? end : start + (piece + 1) * length),
+                sceneChange: piece === 0 ? Math.min(kept[i].confidence, 1) : 0
+            });
+        }
+    }
+    return segments;
+}
+
+// Mean of the samples [{ time, value }] inside a segment (null if there are none)
+function averageIn(samples, segment) {
+    const inside = samples.filter(sample => sample.time >= segment.start && sample.time < segment.end);
+    if (inside.length === 0) return null;
+    return inside.reduce((sum, sample) => sum + sample.value, 0) / inside.length;
+}
+
+// Rescale values to 0..1 across segments (0.5 when they are all the same)
+function normalize(values) {
+    const known = values.filter(value => value !== null);
+    const min = Math.min(...known);
+    const max = Math.max(...known);
+    return values.map((value) => {
+        if (value === null || known.length === 0) return 0;
+        return max > min ? (value - min) / (max - min) : 0.5;
+    });
+}
+
+// Score segments from audio levels [{ time, level }] (dBFS) and motion [{ time, motion }]
+function scoreSegments(segments, { audio = [], motion = [] }) {
+    const audioSamples = audio.map(sample => ({ time: sample.time, value: Math.max(sample.level, AUDIO_FLOOR_DB) }));
+    const motionSamples = motion.map(sample => ({ time: sample.time, value: sample.motion }));
+    const audioScores = normalize(segments.map(segment => averageIn(audioSamples, segment)));
+    const motionScores = normalize(segments.map(segment => averageIn(motionSamples, segment)));
+
+    return segments.map((segment, index) => {
+        const scores = {
+            audio: audioScores[index],
+            motion: motionScores[index],
+            sceneChange: segment.sceneChange
+        };
+        const score = Object.keys(SCORE_WEIGHTS).reduce((sum, key) => sum + SCORE_WEIGHTS[key] * scores[key], 0);
+        return {
+            ...segment,
+            audio: round(scores.audio),
+            motion: round(scores.motion),
+            score: round(score)
+        };
+    });
+}
+
+// Highest-scoring segments that fit targetSeconds (+/- tolerance), in timeline order.
+// If the whole segments fall short, the best remaining one is trimmed to make up the difference.
+function selectSegments(segments, targetSeconds) {
+    const tolerance = getTolerance(targetSeconds);
+    const ranked = [...segments].sort((a, b) => b.score - a.score);
+    const chosen = [];
+    let total = 0;
+
+    ranked.forEach((segment) => {
+        const length = segment.end - segment.start;
+        if (total + length <= targetSeconds + tolerance) {
+            chosen.push(segment);
+            total += length;
+        }
+    });
+
+    if (total < targetSeconds - tolerance) {
+        const filler = ranked.find(segment => !chosen.includes(segment));
+        if (filler) {
+            const end = round(filler.start + (targetSeconds - total));
+            chosen.push({ ...filler, end, trimmed: true });
+            total += end - filler.start;
+        }
+    }
+
+    return {
+        duration: round(total),
+        tolerance: round(tolerance),
+        segments: chosen.sort((a, b) => a.start - b.start)
+    };
+}
+
+// Map a source time onto the edited timeline when only `keepRanges` were kept (removed times snap to the next cut)
+function toEditTime(time, keepRanges) {
+    if (!keepRanges) return time;
+
+    let offset = 0;
+    for (const range of keepRanges) {
+        if (time < range.end) {
+            return round(offset + Math.max(time - range.start, 0));
+        }
+        offset += range.end - range.start;
+    }
+    return round(offset);
+}
+
+// Map a time on the edited timeline back to the source when only `keepRanges` of it were kept
+function toSourceTime(time, keepRanges) {
+    if (!keepRanges) return time;
+
+    let offset = 0;
+    for (const range of keepRanges) {
+        const length = range.end - range.start;
+        if (time <= offset + length) {
+            return round(range.start + time - offset);
+        }
+        offset += length;
+    }
+    const last = keepRanges[keepRanges.length - 1];
+    return last ? last.end : time;
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+    getTolerance,
+    buildSegments,
+    scoreSegments,
+    selectSegments,
+    toEditTime,
+    toSourceTime
+};
@@ -1,5 +1,7 @@
 const AIVideoProcessor = require('./ai-processor');
 const path = require('path');
+const { transcription } = require('./transcription');
+const { toSrt } = require('./captions');
 
 async function testAIProcessor() {
     console.log('🧪 Testing AI Video Processor...\n');
@@ -38,12 +40,12 @@ async function testAIProcessor() {
         console.log(`   Generated filters: ${filters.substring(0, 100)}...`);
         console.log('✅ Filter building working!\n');
 
-        // Test 4: Test caption generation
+        // Test 4: Test caption generation (deterministic stub transcript)
         console.log('4️⃣ Testing caption generation...');
-        styles.forEach(style => {
-            const caption = aiProcessor.getStyleCaption(style);
-            console.log(`   ${style}: ${caption}`);
-        });
+        const stub = transcription.getProvider('stub');
+        const transcript = await stub.transcribe(null, { language: 'auto', duration: 5 });
+        console.log(`   ${transcript.words.length} words, first cue:`);
+        console.log(`   ${toSrt(transcript.words).split('\n').slice(0, 3).join('\n   ')}`);
         console.log('✅ Caption generation working!\n');
 
         // Test 5: Test quality settings
@@ -0,0 +1,128 @@
+// Thumbnail candidates for a finished render
+// Frames are taken just after scene boundaries, scored on sharpness and exposure, and the best one becomes the
+// project thumbnail. Videos with few scenes are topped up with evenly spaced frames.
+
+const MAX_CANDIDATES = Number(process.env.THUMBNAIL_CANDIDATES) || 8;
+// Frames this long after a cut are past any transition blur
+const SETTLE_SECONDS = 0.5;
+// Candidates closer together than this show the same moment
+const MIN_SPACING_SECONDS = 2;
+// Candidate images are bounded to this many pixels on the long edge
+const THUMBNAIL_SIZE = 1280;
+// Frames are scored at this width (grayscale)
+const ANALYSIS_WIDTH = 160;
+// Frames with less contrast than this (standard deviation of the luma) are blank: fades, black or white frames
+const MIN_CONTRAST = 8;
+// Exposure is best at this mean luma
+const TARGET_BRIGHTNESS = 128;
+
+// Relative weight of each score component
+const SCORE_WEIGHTS = {
+    sharpness: 0.6,
+    exposure: 0.4
+};
+
+// Analysis frame size for a width x height video (even dimensions)
+function getAnalysisSize(width, height) {
+    const even = value => Math.max(Math.round(value / 2) * 2, 2);
+    return { width: ANALYSIS_WIDTH, height: even(ANALYSIS_WIDTH * (height || 9) / (width || 16)) };
+}
+
+// Frame times (seconds) for the candidates: a settled frame after each scene start, thinned out evenly when
+// there are more than MAX_CANDIDATES and topped up with evenly spaced frames when there are few
+function pickCandidateTimes(sceneStarts, duration) {
+    const latest = duration - SETTLE_SECONDS;
+    if (!(latest > 0)) return [0];
+
+    const times = [];
+    const fits = time => times.every(other => Math.abs(other - time) >= MIN_SPACING_SECONDS);
+    // Scenes starting past the end (e.g. cut off at the platform's length limit) are skipped
+    [...sceneStarts].sort((a, b) => a - b).forEach((start) => {
+        const time = round(start + SETTLE_SECONDS);
+        if (time <= latest && fits(time)) times.push(time);
+    });
+
+    if (times.length > MAX_CANDIDATES) {
+        const step = times.length / MAX_CANDIDATES;
+        return Array.from({ length: MAX_CANDIDATES }, (_, index) => times[Math.floor(index * step)]);
+    }
+
+    for (let slot = 1; slot <= MAX_CANDIDATES && times.length < MAX_CANDIDATES; slot++) {
+        const time = round(duration * slot / (MAX_CANDIDATES + 1));
+        if (fits(time)) times.push(time);
+    }
+    if (times.length === 0) times.push(round(latest / 2));
+    return times.sort((a, b) => a - b);
+}
+
+// Brightness (mean luma), contrast (its standard deviation) and sharpness (variance of the Laplacian)
+// of a raw gray8 frame
+function measureFrame(buffer, width, height) {
+    const size = Math.min(buffer.length, width * height);
+    let sum = 0;
+    let sumSquares = 0;
+    for (let i = 0; i < size; i++) {
+        sum += buffer[i];
+        sumSquares += buffer[i] * buffer[i];
+    }
+    const brightness = size ? sum / size : 0;
+    const contrast = size ? Math.sqrt(Math.max(sumSquares / size - brightness * brightness, 0)) : 0;
+
+    // Soft or motion-blurred frames have weak edges, so the Laplacian barely varies
+    let count = 0;
+    let lapSum = 0;
+    let lapSquares = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const offset = y * width + x;
+            const laplacian = buffer[offset - 1] + buffer[offset + 1] + buffer[offset - width] + buffer[offset + width] - 4 * buffer[offset];
+            lapSum += laplacian;
+            lapSquares += laplacian * laplacian;
+            count++;
+        }
+    }
+    const lapMean = count ? lapSum / count : 0;
+    const sharpness = count ? lapSquares / count - lapMean * lapMean : 0;
+
+    return { brightness: round(brightness), contrast: round(contrast), sharpness: round(sharpness) };
+}
+
+// Score measured candidates [{ brightness, contrast, sharpness, ... }] from 0 to 1; sharpness is relative to the
+// sharpest candidate and blank frames score 0. The best one is marked selected.
+function scoreCandidates(candidates) {
+    const maxSharpness = Math.max(...candidates.map(candidate => candidate.sharpness), 0);
+    const scored = candidates.map((candidate) => {
+        if (candidate.contrast < MIN_CONTRAST) {
+            return { ...candidate, score: 0, selected: false };
+        }
+        const scores = {
+            sharpness: maxSharpness > 0 ? candidate.sharpness / maxSharpness : 0,
+            exposure: Math.max(1 - Math.abs(candidate.brightness - TARGET_BRIGHTNESS) / TARGET_BRIGHTNESS, 0)
+        };
+        const score = Object.keys(SCORE_WEIGHTS).reduce((total, key) => total + SCORE_WEIGHTS[key] * scores[key], 0);
+        return { ...candidate, score: round(score), selected: false };
+    });
+
+    // Ties go to the earliest frame
+    const best = scored.reduce((top, candidate) => (!top || candidate.score > top.score ? candidate : top), null);
+    if (best) best.selected = true;
+    return scored;
+}
+
+// Thumbnails the user uploaded are named thumbnail-<id>-custom-*; re-renders keep them
+function isCustomThumbnail(project) {
+    return Boolean(project.thumbnail && project.thumbnail.startsWith(`thumbnail-${project.id}-custom`));
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+    THUMBNAIL_SIZE,
+    getAnalysisSize,
+    pickCandidateTimes,
+    measureFrame,
+    scoreCandidates,
+    isCustomThumbnail
+};
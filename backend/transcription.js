@@ -0,0 +1,108 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { createRenderError } = require('./render-errors');
+
+// Speech-to-text providers
+// A provider is { name, transcribe(audioPath, context) } resolving to
+// { language, words: [{ word, start, end, confidence }] } with times in seconds.
+// context = { signal, language, duration, workDir, runCommand }; runCommand is AIVideoProcessor.runCommand
+// so external engines are killed when the render is cancelled.
+
+// whisper.cpp needs a model file, so without one captions are off unless another provider is chosen
+const DEFAULT_PROVIDER = process.env.TRANSCRIPTION_PROVIDER || (process.env.WHISPER_MODEL_PATH ? 'whisper-cpp' : 'none');
+const DEFAULT_LANGUAGE = process.env.TRANSCRIPTION_LANGUAGE || 'auto';
+
+// Offline transcription with whisper.cpp (https://github.com/ggerganov/whisper.cpp)
+const whisperCppProvider = {
+    name: 'whisper-cpp',
+
+    async transcribe(audioPath, { signal, language, workDir, runCommand }) {
+        const binary = process.env.WHISPER_CPP_PATH || 'whisper-cli';
+        const model = process.env.WHISPER_MODEL_PATH;
+        if (!model) {
+            throw createRenderError('INVALID_PARAMETERS', 'WHISPER_MODEL_PATH is not set');
+        }
+
+        // One segment per word (-ml 1 -sow) gives word timings in the JSON output
+        const outputPrefix = path.join(workDir, 'transcript');
+        await runCommand(binary, [
+            '-m', model,
+            '-f', audioPath,
+            '-l', language,
+            '-ml', '1',
+            '-sow',
+            '-oj',
+            '-of', outputPrefix,
+            '-np'
+        ], { signal });
+
+        const result = await fs.readJson(`${outputPrefix}.json`);
+        const words = (result.transcription || [])
+            .map(segment => ({
+                word: (segment.text || '').trim(),
+                start: segment.offsets.from / 1000,
+                end: segment.offsets.to / 1000,
+                confidence: null
+            }))
+            .filter(word => word.word && !/^\[.*\]$/.test(word.word));
+
+        return {
+            language: (result.result && result.result.language) || language,
+            words
+        };
+    }
+};
+
+// Deterministic transcript for tests and demos: a fixed sentence spread evenly over the audio
+const stubProvider = {
+    name: 'stub',
+
+    async transcribe(audioPath, { language, duration }) {
+        const text = 'This is a sample caption generated for testing the caption pipeline';
+        const vocabulary = text.split(' ');
+        const wordSeconds = 0.4;
+        const words = [];
+
+        for (let i = 0; (i + 1) * wordSeconds <= duration; i++) {
+            words.push({
+                word: vocabulary[i % vocabulary.length],
+                start: Math.round(i * wordSeconds * 1000) / 1000,
+                end: Math.round((i + 0.9) * wordSeconds * 1000) / 1000,
+                confidence: 1
+            });
+        }
+
+        return {
+            language: language === 'auto' ? 'en' : language,
+            words
+        };
+    }
+};
+
+const providers = {
+    [whisperCppProvider.name]: whisperCppProvider,
+    [stubProvider.name]: stubProvider
+};
+
+const transcription = {
+    DEFAULT_LANGUAGE,
+
+    // Add (or replace) a provider
+    registerProvider(provider) {
+        providers[provider.name] = provider;
+    },
+
+    // Look up a provider; 'none' disables transcription
+    getProvider(name = DEFAULT_PROVIDER) {
+        if (name === 'none') return null;
+        const provider = providers[name];
+        if (!provider) {
+            throw createRenderError('INVALID_PARAMETERS', `Unknown transcription provider: ${name}`);
+        }
+        return provider;
+    }
+};
+
+module.exports = {
+    transcription
+};
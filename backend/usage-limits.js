@@ -49,7 +49,7 @@ const checkGuestUsage = async (req, res, next) => {
         if (guestUsage.usageCount >= 1) {
             // Block guest and require account creation
             guestUsageOperations.blockGuestUsage.run(
-                true,
+                1,
                 'Exceeded free trial limit',
                 clientIP
             );
@@ -0,0 +1,74 @@
+const path = require('path');
+const { subscriptionOperations } = require('./database');
+
+// Watermark policy for renders
+// Guest renders and renders for users whose plan lacks the "No Watermark" feature are watermarked. The policy is
+// checked every time a project renders, so re-rendering after an upgrade drops the watermark (the source video is
+// kept with the project; nothing is uploaded again).
+
+const NO_WATERMARK_FEATURE = 'No Watermark';
+
+// WATERMARK_POLICY: 'tiered' (the rule above), 'always' or 'never'
+const WATERMARK_POLICY = process.env.WATERMARK_POLICY || 'tiered';
+
+// A number from the environment clamped to min..max; unset or non-numeric values use the fallback (0 is kept)
+function envNumber(name, fallback, min, max) {
+    const value = process.env[name] === undefined || process.env[name] === '' ? NaN : Number(process.env[name]);
+    return Number.isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+}
+
+// The watermark is WATERMARK_IMAGE (a PNG, relative to the project root) when set, WATERMARK_TEXT otherwise.
+// Position, opacity and scale work like the brand-overlay effect's; WATERMARK_FONT is a font file for the text.
+const WATERMARK = {
+    text: process.env.WATERMARK_TEXT || 'Made with Edit Quick',
+    image: process.env.WATERMARK_IMAGE || null,
+    font: process.env.WATERMARK_FONT || null,
+    position: process.env.WATERMARK_POSITION || 'bottom-right',
+    opacity: envNumber('WATERMARK_OPACITY', 0.6, 0, 1),
+    scale: envNumber('WATERMARK_SCALE', 0.15, 0.02, 0.5)
+};
+
+// Plan features are stored as a JSON list of names
+function parseFeatures(features) {
+    try {
+        const list = JSON.parse(features || '[]');
+        return Array.isArray(list) ? list : [];
+    } catch (_) {
+        return [];
+    }
+}
+
+// Whether renders for userId are watermarked: { watermark, tier } where tier is 'guest', 'free' (no subscription)
+// or the plan id
+function getWatermarkPolicy(userId) {
+    let tier = 'guest';
+    let subscription = null;
+    if (userId && !userId.startsWith('guest_')) {
+        subscription = subscriptionOperations.getUserSubscription.get(userId);
+        tier = subscription ? subscription.planId : 'free';
+    }
+
+    if (WATERMARK_POLICY === 'never' || WATERMARK_POLICY === 'always') {
+        return { watermark: WATERMARK_POLICY === 'always', tier };
+    }
+    const exempt = Boolean(subscription) && parseFeatures(subscription.features).includes(NO_WATERMARK_FEATURE);
+    return { watermark: !exempt, tier };
+}
+
+// Watermark settings for the processor: { text, imagePath, fontFile, position, opacity, scale }
+function getWatermarkSettings() {
+    return {
+        text: WATERMARK.text,
+        imagePath: WATERMARK.image ? path.resolve(__dirname, '..', WATERMARK.image) : null,
+        fontFile: WATERMARK.font,
+        position: WATERMARK.position,
+        opacity: WATERMARK.opacity,
+        scale: WATERMARK.scale
+    };
+}
+
+module.exports = {
+    NO_WATERMARK_FEATURE,
+    getWatermarkPolicy,
+    getWatermarkSettings
+};
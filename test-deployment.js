@@ -33,7 +33,9 @@ const requiredFiles = [
     'backend/usage-limits.js',
     'backend/analytics.js',
     'backend/sharing.js',
-    'backend/ai-processor.js'
+    'backend/ai-processor.js',
+    'backend/render-queue.js',
+    'backend/render-worker.js'
 ];
 
 let allFilesExist = true;
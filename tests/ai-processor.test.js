@@ -0,0 +1,83 @@
+// Pure helpers of the FFmpeg pipeline: scene merging, jump cut planning, voice cleanup and filter building
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AIVideoProcessor = require('../backend/ai-processor');
+
+const processor = new AIVideoProcessor();
+
+test('mergeSceneBoundaries joins shot changes and pauses that describe the same cut', () => {
+    const shotChanges = [{ time: 5, score: 0.6 }, { time: 12.2, score: 1.4 }, { time: 0.2, score: 0.9 }];
+    const silences = [
+        { start: 0, end: 1, duration: 1 },
+        { start: 4.6, end: 5.6, duration: 1 },
+        { start: 9, end: 9.3, duration: 0.3 },
+        { start: 15, end: 19, duration: 4 },
+        { start: 19.5, end: 20, duration: 0.5 }
+    ];
+
+    assert.deepEqual(processor.mergeSceneBoundaries(shotChanges, silences, 20), [
+        { index: 0, start: 0, end: 5, duration: 5, confidence: 1, sources: ['start'] },
+        { index: 1, start: 5, end: 12.2, duration: 7.2, confidence: 0.8, sources: ['visual', 'audio'] },
+        { index: 2, start: 12.2, end: 17, duration: 4.8, confidence: 1, sources: ['visual'] },
+        { index: 3, start: 17, end: 20, duration: 3, confidence: 1, sources: ['audio'] }
+    ]);
+});
+
+test('mergeSceneBoundaries moves a pause boundary onto the nearby visual cut', () => {
+    const scenes = processor.mergeSceneBoundaries([{ time: 8.2, score: 0.5 }], [{ start: 7.4, end: 8.4, duration: 1 }], 12);
+
+    assert.deepEqual(scenes.map(scene => [scene.start, scene.confidence, scene.sources]), [
+        [0, 1, ['start']],
+        [8.2, 0.75, ['audio', 'visual']]
+    ]);
+});
+
+test('getJumpCutSettings scales the minimum pause with style and intensity', () => {
+    assert.deepEqual(processor.getJumpCutSettings('vlog', 'medium'), { minSilence: 0.6, padding: 0.15 });
+    assert.equal(processor.getJumpCutSettings('vlog', 'light').minSilence, 1.2);
+    assert.equal(processor.getJumpCutSettings('vlog', 'extreme').minSilence, 0.3);
+    assert.equal(processor.getJumpCutSettings('mrbeast', 'medium').minSilence, 0.45);
+    assert.equal(processor.getJumpCutSettings('mrbeast', 'extreme').minSilence, 0.25);
+    assert.deepEqual(processor.getJumpCutSettings('vlog', 'medium', { minSilence: '1', padding: 0 }), { minSilence: 1, padding: 0 });
+    assert.equal(processor.getJumpCutSettings('vlog', 'medium', { padding: -1 }).padding, 0);
+});
+
+test('getKeepRanges cuts long pauses and leaves padding around the speech', () => {
+    const silences = [
+        { start: 0, end: 1, duration: 1 },
+        { start: 4, end: 5, duration: 1 },
+        { start: 6, end: 6.3, duration: 0.3 },
+        { start: 9, end: 10, duration: 1 }
+    ];
+
+    assert.deepEqual(processor.getKeepRanges(silences, 10, { minSilence: 0.5, padding: 0.15 }), [
+        { start: 0.85, end: 4.15 },
+        { start: 4.85, end: 9.15 }
+    ]);
+});
+
+test('getKeepRanges leaves the video uncut when no pause is worth cutting', () => {
+    assert.equal(processor.getKeepRanges([{ start: 6, end: 6.3, duration: 0.3 }], 10, { minSilence: 0.5, padding: 0.15 }), null);
+    // Padding larger than half the pause leaves nothing to cut
+    assert.equal(processor.getKeepRanges([{ start: 4, end: 4.2, duration: 0.2 }], 10, { minSilence: 0.1, padding: 0.15 }), null);
+});
+
+test('getVoiceCleanupSettings strengthens each stage with the intensity', () => {
+    assert.deepEqual(processor.getVoiceCleanupSettings('medium'), {
+        highpass: 80, noiseReduction: 12, deess: 0.4, compressorThreshold: -20, compressorRatio: 2.5
+    });
+    assert.deepEqual(processor.getVoiceCleanupSettings('light'), {
+        highpass: 70, noiseReduction: 8, deess: 0.275, compressorThreshold: -20, compressorRatio: 2
+    });
+    assert.deepEqual(processor.getVoiceCleanupSettings('extreme'), {
+        highpass: 100, noiseReduction: 20, deess: 0.65, compressorThreshold: -20, compressorRatio: 3.5
+    });
+    assert.deepEqual(processor.getVoiceCleanupSettings('unknown'), processor.getVoiceCleanupSettings('medium'));
+});
+
+test('buildVoiceCleanupFilter chains the high-pass, denoiser, de-esser and compressor', () => {
+    assert.equal(
+        processor.buildVoiceCleanupFilter(processor.getVoiceCleanupSettings('high')),
+        'highpass=f=90,afftdn=nr=16:tn=1,deesser=i=0.525,acompressor=threshold=-20dB:ratio=3:attack=20:release=250'
+    );
+});
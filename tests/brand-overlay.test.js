@@ -0,0 +1,81 @@
+// Brand overlay settings, safe-zone placement, timing and the overlay filters
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getOverlaySettings, getOverlayPosition, getOverlayWindow, buildOverlayFilter, buildTextOverlayFilter } = require('../backend/brand-overlay');
+const { PLATFORM_PROFILES } = require('../backend/platform-profiles');
+
+const VERTICAL = { width: 1080, height: 1920 };
+const LANDSCAPE = { width: 1920, height: 1080 };
+
+test('getOverlaySettings falls back to defaults and clamps the effect options', () => {
+    assert.deepEqual(getOverlaySettings(), {
+        position: 'top-right', margin: 0.02, scale: 0.12, opacity: 0.9, timing: 'always', showSeconds: 5, fadeSeconds: 0.5
+    });
+    assert.deepEqual(
+        getOverlaySettings({ position: 'middle', margin: 1, scale: '0.001', opacity: 0, timing: 'sometimes', showSeconds: null, fadeSeconds: '' }),
+        { position: 'top-right', margin: 0.2, scale: 0.02, opacity: 0, timing: 'always', showSeconds: 5, fadeSeconds: 0.5 }
+    );
+});
+
+test('getOverlayPosition keeps the logo out of the platform safe zone', () => {
+    const safeZone = PLATFORM_PROFILES.tiktok.safeZone;
+
+    assert.deepEqual(getOverlayPosition(VERTICAL, safeZone, getOverlaySettings()), { width: 130, x: 'W-w-184', y: '214' });
+    assert.deepEqual(
+        getOverlayPosition(VERTICAL, safeZone, getOverlaySettings({ position: 'bottom-left' })),
+        { width: 130, x: '76', y: 'H-h-406' }
+    );
+    assert.deepEqual(
+        getOverlayPosition(LANDSCAPE, null, getOverlaySettings({ position: 'top-left', margin: 0 })),
+        { width: 230, x: '0', y: '0' }
+    );
+});
+
+test('getOverlayWindow shows the logo for its timing and fits the fades inside', () => {
+    assert.deepEqual(getOverlayWindow(getOverlaySettings(), 10), { start: 0, end: 10, fade: 0 });
+    assert.deepEqual(getOverlayWindow(getOverlaySettings({ timing: 'fade' }), 10), { start: 0, end: 10, fade: 0.5 });
+    assert.deepEqual(getOverlayWindow(getOverlaySettings({ timing: 'start' }), 10), { start: 0, end: 5, fade: 0.5 });
+    assert.deepEqual(getOverlayWindow(getOverlaySettings({ timing: 'end', showSeconds: 4 }), 10), { start: 6, end: 10, fade: 0.5 });
+    assert.deepEqual(getOverlayWindow(getOverlaySettings({ timing: 'start', showSeconds: 2, fadeSeconds: 5 }), 10), { start: 0, end: 2, fade: 1 });
+    assert.deepEqual(getOverlayWindow(getOverlaySettings({ timing: 'end' }), 3), { start: 0, end: 3, fade: 0.5 });
+});
+
+test('buildOverlayFilter composites the logo with its opacity, fades and window', () => {
+    assert.equal(
+        buildOverlayFilter(LANDSCAPE, null, getOverlaySettings(), 10),
+        '[1:v]scale=230:-1,format=rgba,colorchannelmixer=aa=0.9[logo];[0:v][logo]overlay=x=W-w-38:y=38:shortest=1[outv]'
+    );
+    assert.equal(
+        buildOverlayFilter(LANDSCAPE, null, getOverlaySettings({ timing: 'end', showSeconds: 4, opacity: 0.5 }), 10),
+        '[1:v]scale=230:-1,format=rgba,colorchannelmixer=aa=0.5,fade=t=in:st=6:d=0.5:alpha=1,fade=t=out:st=9.5:d=0.5:alpha=1[logo];'
+            + "[0:v][logo]overlay=x=W-w-38:y=38:shortest=1:enable='between(t,6,10)'[outv]"
+    );
+});
+
+test('buildTextOverlayFilter escapes the text and font for drawtext', () => {
+    const filter = buildTextOverlayFilter(
+        LANDSCAPE,
+        PLATFORM_PROFILES.youtube.safeZone,
+        "It's 10:30 \\ live",
+        getOverlaySettings({ position: 'bottom-right' }),
+        'C:\\fonts\\brand.ttf'
+    );
+
+    assert.equal(filter, [
+        "[0:v]drawtext=text='It'\\\\''s 10\\:30 / live'",
+        'expansion=none',
+        "fontfile='C\\:/fonts/brand.ttf'",
+        'fontsize=43',
+        'fontcolor=white@0.9',
+        'borderw=2',
+        'bordercolor=black@0.54',
+        'x=w-tw-134',
+        'y=h-th-168[outv]'
+    ].join(':'));
+});
+
+test('buildTextOverlayFilter places text in the top-left corner without a font file', () => {
+    const filter = buildTextOverlayFilter({ width: 200, height: 100 }, null, 'Brand', getOverlaySettings({ position: 'top-left', margin: 0 }));
+
+    assert.equal(filter, "[0:v]drawtext=text='Brand':expansion=none:fontsize=12:fontcolor=white@0.9:borderw=2:bordercolor=black@0.54:x=0:y=0[outv]");
+});
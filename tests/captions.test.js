@@ -0,0 +1,115 @@
+// Caption cues, SRT/VTT output and transcription providers
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCues, formatTimestamp, toSrt, toVtt, toAssColor, resolveCaptionTemplate, toAss } = require('../backend/captions');
+const { transcription } = require('../backend/transcription');
+
+// Word-timed transcript from [word, start, end] triples
+function words(list) {
+    return list.map(([word, start, end]) => ({ word, start, end, confidence: 1 }));
+}
+
+test('formatTimestamp writes SRT and VTT times', () => {
+    assert.equal(formatTimestamp(62.345, ','), '00:01:02,345');
+    assert.equal(formatTimestamp(3723.5, '.'), '01:02:03.500');
+    assert.equal(formatTimestamp(-1, ','), '00:00:00,000');
+});
+
+test('buildCues starts a new cue after a sentence end or a pause', () => {
+    const cues = buildCues(words([
+        ['Hello', 0, 0.4], ['there.', 0.5, 0.9],
+        ['How', 1.0, 1.2], ['are', 1.3, 1.5],
+        ['you', 2.6, 2.9]
+    ]));
+
+    assert.deepEqual(cues.map(cue => cue.text), ['Hello there.', 'How are', 'you']);
+    assert.deepEqual([cues[1].start, cues[1].end], [1.0, 1.5]);
+});
+
+test('buildCues keeps cues short enough to read', () => {
+    const long = words(Array.from({ length: 20 }, (_, i) => [`word${i}`, i * 0.3, i * 0.3 + 0.25]));
+
+    const cues = buildCues(long);
+    assert.ok(cues.length > 1);
+    cues.forEach((cue) => {
+        assert.ok(cue.text.length <= 42, cue.text);
+        assert.ok(cue.end - cue.start <= 3.5);
+    });
+    assert.equal(buildCues(long, { maxWords: 3 })[0].words.length, 3);
+});
+
+test('toSrt and toVtt number and time the cues', () => {
+    const transcript = words([['Hello', 0, 0.5], ['world.', 0.6, 1.2], ['Bye', 2.5, 3]]);
+
+    assert.equal(toSrt(transcript), '1\n00:00:00,000 --> 00:00:01,200\nHello world.\n\n2\n00:00:02,500 --> 00:00:03,000\nBye\n');
+    assert.equal(toVtt(transcript), 'WEBVTT\n\n00:00:00.000 --> 00:00:01.200\nHello world.\n\n00:00:02.500 --> 00:00:03.000\nBye\n');
+});
+
+test('the stub provider spreads a fixed transcript over the audio', async () => {
+    const result = await transcription.getProvider('stub').transcribe('speech.wav', { language: 'auto', duration: 4 });
+
+    assert.equal(result.language, 'en');
+    assert.equal(result.words.length, 10);
+    assert.deepEqual(result.words[0], { word: 'This', start: 0, end: 0.36, confidence: 1 });
+    result.words.forEach((word) => assert.ok(word.end <= 4));
+});
+
+test('provider lookup: none disables transcription, unknown names are rejected', () => {
+    assert.equal(transcription.getProvider('none'), null);
+    assert.throws(() => transcription.getProvider('nope'), { code: 'INVALID_PARAMETERS' });
+});
+
+test('toAssColor converts #RRGGBB and opacity to &HAABBGGRR', () => {
+    assert.equal(toAssColor('#FFD400'), '&H0000D4FF');
+    assert.equal(toAssColor('112233', 0), '&HFF332211');
+    assert.equal(toAssColor('#000000', 0.5), '&H80000000');
+    assert.equal(toAssColor('red'), '&H00FFFFFF');
+});
+
+test('each style has a caption template the project can override', () => {
+    assert.equal(resolveCaptionTemplate('mrbeast').name, 'tiktok');
+    assert.equal(resolveCaptionTemplate('podcast').name, 'lower-third');
+    assert.equal(resolveCaptionTemplate('unknown').name, 'minimal');
+
+    const template = resolveCaptionTemplate('vlog', { template: 'tiktok', color: '#00FF00', fontSize: null, type: 'auto-captions' });
+    assert.equal(template.name, 'tiktok');
+    assert.equal(template.color, '#00FF00');
+    assert.equal(template.fontSize, resolveCaptionTemplate('mrbeast').fontSize);
+    assert.equal(template.type, undefined);
+});
+
+test('resolveCaptionTemplate ignores invalid overrides and strips commas and line breaks from the font', () => {
+    const defaults = resolveCaptionTemplate('podcast');
+    const template = resolveCaptionTemplate('podcast', {
+        font: 'Comic Sans,1\nDialogue: 0',
+        fontSize: '72,evil',
+        color: 'red',
+        outline: -2,
+        shadow: Infinity,
+        bold: 'yes',
+        position: 'sideways',
+        maxWordsPerLine: 2.5
+    });
+
+    assert.equal(template.font, 'Comic Sans1Dialogue: 0');
+    ['fontSize', 'color', 'outline', 'shadow', 'bold', 'position', 'maxWordsPerLine'].forEach((key) => {
+        assert.equal(template[key], defaults[key], key);
+    });
+
+    assert.equal(resolveCaptionTemplate('podcast', { font: ',\n' }).font, defaults.font);
+    assert.equal(resolveCaptionTemplate('podcast', { fontSize: 48 }).fontSize, 48);
+    assert.equal(resolveCaptionTemplate('podcast', { fontSize: 0.06, position: 'top', box: false }).position, 'top');
+
+    const ass = toAss(words([['Hi', 0, 0.5]]), template, { width: 1080, height: 1920 });
+    assert.equal(ass.split('\n').filter(line => line.startsWith('Style:')).length, 1);
+    assert.equal(ass.match(/^Style: .*$/m)[0].split(',').length, 23);
+});
+
+test('toAss styles the captions and times karaoke words', () => {
+    const template = resolveCaptionTemplate('vlog');
+    const ass = toAss(words([['Hi', 0, 0.5], ['{there}', 0.7, 1.2]]), template, { width: 1080, height: 1920 });
+
+    assert.match(ass, /PlayResX: 1080\nPlayResY: 1920/);
+    assert.match(ass, new RegExp(`Style: Caption,Arial,${Math.round(template.fontSize * 1920)},&H0000D4FF,&H00FFFFFF,`));
+    assert.match(ass, /Dialogue: 0,0:00:00\.00,0:00:01\.20,Caption,,0,0,0,,\{\\kf70\}Hi \{\\kf50\}\(there\)/);
+});
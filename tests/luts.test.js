@@ -0,0 +1,53 @@
+// LUT validation, strength and the grading filtergraph
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { BUNDLED_LUTS, validateCube, getBundledLutPath, getLutStrength } = require('../backend/luts');
+const AIVideoProcessor = require('../backend/ai-processor');
+
+// A 2-point identity LUT with the given header lines
+function cube(header, rows = 8) {
+    const table = Array.from({ length: rows }, (_, i) => `${i & 1} ${(i >> 1) & 1} ${(i >> 2) & 1}`);
+    return [...header, ...table].join('\n');
+}
+
+test('the bundled LUTs are valid 3D LUTs', () => {
+    Object.keys(BUNDLED_LUTS).forEach((style) => {
+        const result = validateCube(fs.readFileSync(getBundledLutPath(style), 'utf8'));
+        assert.equal(result.error, null, style);
+    });
+    assert.equal(getBundledLutPath('unknown'), getBundledLutPath('cinematic'));
+});
+
+test('validateCube reads the title and size', () => {
+    assert.deepEqual(validateCube(cube(['\uFEFF# made by hand', 'TITLE "Identity"', 'LUT_3D_SIZE 2'])), { size: 2, title: 'Identity', error: null });
+});
+
+test('validateCube rejects unusable files with the offending line', () => {
+    assert.equal(validateCube(cube(['LUT_1D_SIZE 2'])).error, 'Line 1: 1D LUTs are not supported, upload a 3D LUT');
+    assert.equal(validateCube(cube(['LUT_3D_SIZE 99'])).error, 'Line 1: LUT_3D_SIZE must be between 2 and 65');
+    assert.equal(validateCube(cube(['LUT_3D_SIZE 2', 'GAMMA 2.2'])).error, 'Line 2: unknown keyword GAMMA');
+    assert.equal(validateCube(cube([])).error, 'Line 1: LUT_3D_SIZE must come before the table');
+    assert.equal(validateCube('TITLE "empty"').error, 'Missing LUT_3D_SIZE');
+    assert.equal(validateCube(cube(['LUT_3D_SIZE 2'], 7)).error, 'Expected 8 table rows for a 2-point LUT, found 7');
+    assert.equal(validateCube(cube(['LUT_3D_SIZE 2', 'DOMAIN_MIN 1 1 1', 'DOMAIN_MAX 0 0 0'])).error, 'DOMAIN_MIN must be below DOMAIN_MAX');
+});
+
+test('getLutStrength scales the effect strength by the intensity', () => {
+    assert.equal(getLutStrength(1, 0.5), 0.5);
+    assert.equal(getLutStrength('0.4', 2), 0.8);
+    assert.equal(getLutStrength(undefined, 1), 0.8);
+    assert.equal(getLutStrength(-1, 1), 0.8);
+    assert.equal(getLutStrength(2, 1.5), 1);
+});
+
+test('the graded frame is the first blend input, so the strength is the amount of grading', () => {
+    const processor = new AIVideoProcessor();
+    const styleConfig = processor.getStyleConfig('vlog', 'light');
+    styleConfig.lut = { path: '/luts/my lut:1.cube', strength: getLutStrength(1, styleConfig.intensity) };
+
+    const filters = processor.buildStyleFilters(styleConfig);
+    assert.match(filters, /^split\[ungraded\]\[tograde\];\[tograde\]lut3d=file='\/luts\/my lut\\:1\.cube':interp=tetrahedral\[graded\];/);
+    assert.match(filters, /\[graded\]\[ungraded\]blend=all_mode=normal:all_opacity=0\.5,/);
+    assert.doesNotMatch(filters, /colorlevels|eq=/);
+});
@@ -0,0 +1,62 @@
+// Platform export profiles and output sizing
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PLATFORM_PROFILES, resolvePlatformProfile, needsReframe, getOutputSize, parseAspect } = require('../backend/platform-profiles');
+
+// ffprobe output with a single video stream
+function probe(width, height, extra = {}) {
+    return { streams: [{ codec_type: 'audio' }, { codec_type: 'video', width, height, ...extra }] };
+}
+
+test('parseAspect turns W:H into a ratio', () => {
+    assert.equal(parseAspect('9:16'), 0.5625);
+    assert.equal(parseAspect('1:1'), 1);
+});
+
+test('auto picks the aspect ratio from the source orientation', () => {
+    assert.equal(resolvePlatformProfile('auto', probe(1920, 1080)).aspect, '16:9');
+    assert.equal(resolvePlatformProfile('auto', probe(1080, 1920)).aspect, '9:16');
+    assert.equal(resolvePlatformProfile('auto', probe(1000, 1040)).aspect, '1:1');
+    assert.equal(resolvePlatformProfile('unknown', probe(1920, 1080)).name, 'auto');
+});
+
+test('phone rotation metadata swaps the source dimensions', () => {
+    const profile = resolvePlatformProfile('auto', probe(1920, 1080, { side_data_list: [{ rotation: -90 }] }));
+
+    assert.deepEqual(profile.source, { width: 1080, height: 1920 });
+    assert.equal(profile.aspect, '9:16');
+});
+
+test('needsReframe compares the source with the platform aspect ratio', () => {
+    assert.equal(needsReframe(resolvePlatformProfile('tiktok', probe(1920, 1080))), true);
+    assert.equal(needsReframe(resolvePlatformProfile('tiktok', probe(1080, 1920))), false);
+    assert.equal(needsReframe(resolvePlatformProfile('youtube', probe(1280, 718))), false);
+    assert.equal(needsReframe(resolvePlatformProfile('youtube', { streams: [] })), false);
+});
+
+test('getOutputSize caps the quality at the platform resolution', () => {
+    assert.deepEqual(getOutputSize({ width: 2160, height: 3840 }, '4k', PLATFORM_PROFILES.tiktok), { width: 1080, height: 1920, limitedBy: 'platform' });
+    assert.deepEqual(getOutputSize({ width: 3840, height: 2160 }, '4k', PLATFORM_PROFILES.youtube), { width: 3840, height: 2160, limitedBy: null });
+});
+
+test('getOutputSize keeps the input size unless upscaling is allowed', () => {
+    const input = { width: 1920, height: 1080 };
+
+    assert.deepEqual(getOutputSize(input, '4k', PLATFORM_PROFILES.auto), { width: 1920, height: 1080, limitedBy: 'source' });
+    assert.deepEqual(getOutputSize(input, '4k', PLATFORM_PROFILES.auto, { allowUpscale: true }), { width: 3840, height: 2160, limitedBy: null });
+    assert.deepEqual(getOutputSize(input, '8k', PLATFORM_PROFILES.auto, { allowUpscale: true }), { width: 3840, height: 2160, limitedBy: 'upscale-limit' });
+});
+
+test('getOutputSize rounds to even dimensions and falls back to the profile aspect', () => {
+    assert.deepEqual(getOutputSize({ width: 1279, height: 719 }, '1080p', PLATFORM_PROFILES.auto), { width: 1278, height: 718, limitedBy: 'source' });
+    assert.deepEqual(getOutputSize({}, '720p', PLATFORM_PROFILES.tiktok), { width: 720, height: 1280, limitedBy: null });
+});
+
+test('podcast edits target -16 LUFS on every platform', () => {
+    const podcast = resolvePlatformProfile('tiktok', probe(1080, 1920), 'podcast');
+    const vlog = resolvePlatformProfile('tiktok', probe(1080, 1920), 'vlog');
+
+    assert.deepEqual([podcast.loudness, podcast.truePeak], [-16, -1.5]);
+    assert.deepEqual([vlog.loudness, vlog.truePeak], [-14, -1]);
+    assert.equal(podcast.videoBitrate, PLATFORM_PROFILES.tiktok.videoBitrate);
+});
@@ -0,0 +1,58 @@
+// Sprite sheet layout, preview clips and the WebVTT thumbnail track
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planSprites, getPreviewClips, buildThumbnailVtt } = require('../backend/previews');
+
+test('planSprites sizes sheets to short videos', () => {
+    assert.deepEqual(planSprites(7, 1920, 1080), {
+        interval: 2, frameCount: 4, tileWidth: 160, tileHeight: 90, columns: 4, rows: 1, sheetCount: 1
+    });
+    assert.deepEqual(planSprites(0, 1920, 1080), {
+        interval: 2, frameCount: 1, tileWidth: 160, tileHeight: 90, columns: 1, rows: 1, sheetCount: 1
+    });
+});
+
+test('planSprites widens the interval for long videos and spreads frames over several sheets', () => {
+    assert.deepEqual(planSprites(1000, 1080, 1920), {
+        interval: 4, frameCount: 250, tileWidth: 160, tileHeight: 284, columns: 10, rows: 10, sheetCount: 3
+    });
+});
+
+test('getPreviewClips spreads clips over the video and uses short videos whole', () => {
+    assert.deepEqual(getPreviewClips(3), [{ start: 0, end: 3 }]);
+    assert.deepEqual(getPreviewClips(6), [{ start: 0, end: 4 }]);
+    assert.deepEqual(getPreviewClips(40), [
+        { start: 4.5, end: 5.5 },
+        { start: 14.5, end: 15.5 },
+        { start: 24.5, end: 25.5 },
+        { start: 34.5, end: 35.5 }
+    ]);
+});
+
+test('buildThumbnailVtt maps each interval to its tile and ends at the duration', () => {
+    const vtt = buildThumbnailVtt(planSprites(7, 1920, 1080), 7, index => `/sprites/${index}.jpg`);
+
+    assert.equal(vtt, [
+        'WEBVTT',
+        '',
+        '00:00:00.000 --> 00:00:02.000',
+        '/sprites/0.jpg#xywh=0,0,160,90',
+        '',
+        '00:00:02.000 --> 00:00:04.000',
+        '/sprites/0.jpg#xywh=160,0,160,90',
+        '',
+        '00:00:04.000 --> 00:00:06.000',
+        '/sprites/0.jpg#xywh=320,0,160,90',
+        '',
+        '00:00:06.000 --> 00:00:07.000',
+        '/sprites/0.jpg#xywh=480,0,160,90',
+        ''
+    ].join('\n'));
+});
+
+test('buildThumbnailVtt moves to the next row and sheet', () => {
+    const layout = { interval: 1, frameCount: 5, tileWidth: 10, tileHeight: 6, columns: 2, rows: 2, sheetCount: 2 };
+    const tiles = buildThumbnailVtt(layout, 5, index => `s${index}`).match(/s\d#xywh=\d+,\d+/g);
+
+    assert.deepEqual(tiles, ['s0#xywh=0,0', 's0#xywh=10,0', 's0#xywh=0,6', 's0#xywh=10,6', 's1#xywh=0,0']);
+});
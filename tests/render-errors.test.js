@@ -0,0 +1,42 @@
+// Render failure classification
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRenderError, classifyRenderError, getFinalErrorMessage } = require('../backend/render-errors');
+
+// An error shaped like a failed FFmpeg run
+function ffmpegError(stderr, extra = {}) {
+    return Object.assign(new Error('FFmpeg exited with code 1'), { stderr }, extra);
+}
+
+test('FFmpeg stderr is mapped to a specific failure', () => {
+    assert.equal(classifyRenderError(ffmpegError('moov atom not found')).code, 'CORRUPT_INPUT');
+    assert.equal(classifyRenderError(ffmpegError('Error writing trailer: No space left on device')).code, 'DISK_FULL');
+    assert.equal(classifyRenderError(ffmpegError('No such filter: \'vidstabdetect\'')).code, 'INVALID_PARAMETERS');
+    assert.equal(classifyRenderError(ffmpegError('Decoder (codec prores_raw) not found')).code, 'UNSUPPORTED_CODEC');
+});
+
+test('only transient failures are retried', () => {
+    assert.equal(classifyRenderError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })).transient, true);
+    assert.equal(classifyRenderError(ffmpegError('', { signal: 'SIGKILL' })).code, 'PROCESS_KILLED');
+    assert.equal(classifyRenderError(ffmpegError('', { signal: 'SIGKILL' })).transient, true);
+    assert.equal(classifyRenderError(ffmpegError('Invalid data found when processing input')).transient, false);
+    assert.equal(classifyRenderError(new Error('something odd')).code, 'RENDER_FAILED');
+});
+
+test('cloud render HTTP statuses split into unavailable and rejected', () => {
+    assert.equal(classifyRenderError(Object.assign(new Error('busy'), { status: 503 })).code, 'CLOUD_RENDER_UNAVAILABLE');
+    assert.equal(classifyRenderError(Object.assign(new Error('slow down'), { status: 429 })).code, 'CLOUD_RENDER_UNAVAILABLE');
+    assert.equal(classifyRenderError(Object.assign(new Error('bad input'), { status: 400 })).code, 'CLOUD_RENDER_REJECTED');
+});
+
+test('classified errors keep their code and detail', () => {
+    const failure = classifyRenderError(createRenderError('INPUT_NOT_FOUND', 'Input video not found: a.mp4'));
+    assert.equal(failure.code, 'INPUT_NOT_FOUND');
+    assert.equal(failure.detail, 'Input video not found: a.mp4');
+    assert.match(failure.userMessage, /upload it again/);
+});
+
+test('a transient failure that used up its retries gets the retries-exhausted message', () => {
+    assert.match(getFinalErrorMessage('NETWORK_ERROR'), /after several attempts/);
+    assert.equal(getFinalErrorMessage('CORRUPT_INPUT'), classifyRenderError(createRenderError('CORRUPT_INPUT')).userMessage);
+});
@@ -0,0 +1,198 @@
+// Render queue behavior against an in-memory database
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, projectOperations, subscriptionOperations } = require('../backend/database');
+const { renderQueue, jobOperations, scheduleOrder } = require('../backend/render-queue');
+const { createRenderError, classifyRenderError } = require('../backend/render-errors');
+
+let projectCount = 0;
+
+// Create a project row for the jobs to point at
+function createProject(userId, status = 'uploaded') {
+    const id = `project-${++projectCount}`;
+    projectOperations.createProject.run(
+        id, id, status, 'cinematic', 'medium', '1080p', '[]', 'auto', 'smart',
+        new Date().toISOString(), 0, 'video.mp4', userId, 0, ''
+    );
+    return id;
+}
+
+test.beforeEach(() => {
+    db.exec('DELETE FROM render_jobs; DELETE FROM projects');
+});
+
+test('enqueue returns the active job instead of queueing a project twice', () => {
+    const projectId = createProject('guest_1');
+    const first = renderQueue.enqueue(projectId, 'guest_1');
+    const second = renderQueue.enqueue(projectId, 'guest_1');
+
+    assert.equal(first.status, 'queued');
+    assert.equal(second.id, first.id);
+});
+
+test('claim hands a queued job to one worker only', () => {
+    const projectId = createProject('guest_1');
+    const job = renderQueue.enqueue(projectId, 'guest_1');
+
+    const claimed = renderQueue.claim('worker-a');
+    assert.equal(claimed.id, job.id);
+    assert.equal(claimed.status, 'running');
+    assert.equal(claimed.workerId, 'worker-a');
+    assert.equal(claimed.attempts, 1);
+    assert.equal(renderQueue.claim('worker-b'), null);
+});
+
+test('a job whose worker stopped sending heartbeats is re-queued', () => {
+    const projectId = createProject('guest_1');
+    const job = renderQueue.enqueue(projectId, 'guest_1');
+    renderQueue.claim('worker-a');
+    db.prepare('UPDATE render_jobs SET heartbeatAt = ? WHERE id = ?').run(new Date(Date.now() - 10 * 60 * 1000).toISOString(), job.id);
+
+    const { requeued, failed } = renderQueue.recoverOrphanedJobs();
+    assert.deepEqual(requeued.map(j => j.id), [job.id]);
+    assert.equal(failed.length, 0);
+    assert.equal(jobOperations.getJobById.get(job.id).status, 'queued');
+    assert.equal(jobOperations.getJobById.get(job.id).lastErrorCode, 'WORKER_LOST');
+});
+
+test('a worker that lost its job to recovery cannot fail or requeue the new worker\'s run', () => {
+    const projectId = createProject('guest_1');
+    const job = renderQueue.enqueue(projectId, 'guest_1');
+    renderQueue.claim('worker-a');
+    db.prepare('UPDATE render_jobs SET heartbeatAt = ? WHERE id = ?').run(new Date(Date.now() - 10 * 60 * 1000).toISOString(), job.id);
+    renderQueue.recoverOrphanedJobs();
+    db.prepare('UPDATE render_jobs SET availableAt = ? WHERE id = ?').run(new Date(0).toISOString(), job.id);
+    renderQueue.claim('worker-b');
+
+    assert.equal(renderQueue.heartbeat(job.id, 'worker-a'), false);
+    assert.equal(renderQueue.fail(job.id, classifyRenderError(new Error('Command failed: boom')), 'worker-a'), null);
+    const current = jobOperations.getJobById.get(job.id);
+    assert.equal(current.status, 'running');
+    assert.equal(current.workerId, 'worker-b');
+});
+
+test('release hands a running job back without using up an attempt', () => {
+    const job = renderQueue.enqueue(createProject('guest_1'), 'guest_1');
+    renderQueue.claim('worker-a');
+
+    assert.equal(renderQueue.release(job.id, 'worker-b'), false);
+    assert.equal(renderQueue.release(job.id, 'worker-a'), true);
+    const released = jobOperations.getJobById.get(job.id);
+    assert.equal(released.status, 'queued');
+    assert.equal(released.attempts, 0);
+    assert.equal(renderQueue.claim('worker-b').id, job.id);
+});
+
+test('projects left processing without a job are adopted into the queue', () => {
+    const projectId = createProject('guest_1', 'processing');
+
+    const { adopted } = renderQueue.recoverOrphanedJobs();
+    assert.deepEqual(adopted.map(j => j.projectId), [projectId]);
+});
+
+test('cancel stops the active job and reports it as it was', () => {
+    const projectId = createProject('guest_1');
+    renderQueue.enqueue(projectId, 'guest_1');
+
+    const cancelled = renderQueue.cancel(projectId);
+    assert.equal(cancelled.status, 'queued');
+    assert.equal(renderQueue.isCancelled(cancelled.id), true);
+    assert.equal(renderQueue.getActiveJob(projectId), null);
+    assert.equal(renderQueue.cancel(projectId), null);
+});
+
+// Queued job rows as scheduleOrder sees them; createdAt is minutes before `now`
+const now = Date.parse('2026-01-01T12:00:00Z');
+function queuedJob(id, userId, planId, minutesAgo) {
+    return { id, userId, planId, createdAt: new Date(now - minutesAgo * 60 * 1000).toISOString() };
+}
+
+test('scheduleOrder alternates between users instead of draining one user\'s backlog', () => {
+    const jobs = [
+        queuedJob('a1', 'alice', 'basic', 10),
+        queuedJob('a2', 'alice', 'basic', 9),
+        queuedJob('a3', 'alice', 'basic', 8),
+        queuedJob('b1', 'bob', 'basic', 5)
+    ];
+
+    const order = scheduleOrder(jobs, { nowMs: now, slotMs: 60 * 1000 }).map(job => job.id);
+    assert.deepEqual(order.slice(0, 2), ['a1', 'b1']);
+    assert.deepEqual(order.filter(id => id.startsWith('a')), ['a1', 'a2', 'a3']);
+});
+
+test('scheduleOrder favors higher plan weights for the same wait', () => {
+    const jobs = [
+        queuedJob('guest', 'guest_1', 'guest', 5),
+        queuedJob('basic', 'carol', 'basic', 5),
+        queuedJob('pro', 'dave', 'pro', 5)
+    ];
+
+    const order = scheduleOrder(jobs, { nowMs: now }).map(job => job.id);
+    assert.deepEqual(order, ['pro', 'basic', 'guest']);
+});
+
+test('scheduleOrder lets a long wait outweigh a higher plan', () => {
+    const jobs = [
+        queuedJob('pro', 'dave', 'pro', 1),
+        queuedJob('basic', 'carol', 'basic', 30)
+    ];
+
+    assert.equal(scheduleOrder(jobs, { nowMs: now })[0].id, 'basic');
+});
+
+test('jobs of a subscribed user are scheduled on their plan', () => {
+    db.prepare('INSERT INTO users (id, username, email, passwordHash, createdAt) VALUES (?, ?, ?, ?, ?)')
+        .run('user-pro', 'pro', 'pro@example.com', 'hash', new Date().toISOString());
+    subscriptionOperations.createUserSubscription.run('sub-pro', 'user-pro', 'pro', new Date().toISOString(), 50, new Date().toISOString());
+
+    assert.equal(renderQueue.enqueue(createProject('user-pro'), 'user-pro').planId, 'pro');
+    assert.equal(renderQueue.enqueue(createProject('user-without-plan'), 'user-without-plan').planId, 'free');
+    assert.equal(renderQueue.enqueue(createProject('guest_1'), 'guest_1').planId, 'guest');
+});
+
+test('claim skips users already at their plan\'s render cap', () => {
+    const first = renderQueue.enqueue(createProject('guest_1'), 'guest_1');
+    const second = renderQueue.enqueue(createProject('guest_1'), 'guest_1');
+
+    assert.equal(renderQueue.claim('worker-a').id, first.id);
+    assert.equal(renderQueue.claim('worker-b'), null);
+    assert.equal(jobOperations.getJobById.get(second.id).status, 'queued');
+});
+
+test('transient failures are retried with doubling delays until attempts run out', () => {
+    const job = renderQueue.enqueue(createProject('guest_1'), 'guest_1');
+    const failure = classifyRenderError(createRenderError('NETWORK_ERROR', 'connection reset'));
+    const delays = [];
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        db.prepare('UPDATE render_jobs SET availableAt = ? WHERE id = ?').run(new Date(0).toISOString(), job.id);
+        assert.equal(renderQueue.claim('worker-a').id, job.id);
+        const result = renderQueue.fail(job.id, failure, 'worker-a');
+        if (result.retrying) delays.push(result.delayMs);
+        else assert.equal(result.job.status, 'failed');
+    }
+
+    assert.deepEqual(delays, [5000, 10000]);
+    assert.equal(jobOperations.getJobById.get(job.id).lastErrorCode, 'NETWORK_ERROR');
+});
+
+test('a retried job waits out its delay before it can be claimed again', () => {
+    const job = renderQueue.enqueue(createProject('guest_1'), 'guest_1');
+    renderQueue.claim('worker-a');
+    renderQueue.fail(job.id, classifyRenderError(createRenderError('DISK_FULL')), 'worker-a');
+
+    assert.equal(jobOperations.getJobById.get(job.id).status, 'queued');
+    assert.equal(renderQueue.claim('worker-a'), null);
+});
+
+test('permanent failures fail the job on the first attempt', () => {
+    const job = renderQueue.enqueue(createProject('guest_1'), 'guest_1');
+    renderQueue.claim('worker-a');
+
+    const result = renderQueue.fail(job.id, classifyRenderError(createRenderError('CORRUPT_INPUT')), 'worker-a');
+    assert.equal(result.retrying, false);
+    assert.equal(result.job.status, 'failed');
+    assert.equal(result.job.lastErrorCode, 'CORRUPT_INPUT');
+});
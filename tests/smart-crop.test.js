@@ -0,0 +1,96 @@
+// Motion measurement, crop path planning and the sendcmd script for smart reframing
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ANALYSIS_FPS, getAnalysisSize, measureMotion, planCropPath, toCropCommands } = require('../backend/smart-crop');
+
+// Motion sample at index with the given per-bin motion
+function sample(index, profile) {
+    const values = Float64Array.from(profile);
+    const total = values.reduce((sum, value) => sum + value, 0);
+    return { time: (index + 1) / ANALYSIS_FPS, profile: values, total, motion: total > 0 ? 10 : 0 };
+}
+
+// 100-bin profile with all its motion in [from, to)
+function block(from, to, bins = 100) {
+    return Array.from({ length: bins }, (_, bin) => (bin >= from && bin < to ? 50 : 0));
+}
+
+test('getAnalysisSize keeps the aspect ratio with even sides', () => {
+    assert.deepEqual(getAnalysisSize(1920, 1080, 'x'), { width: 96, height: 54 });
+    assert.deepEqual(getAnalysisSize(1080, 1920, 'y'), { width: 54, height: 96 });
+    assert.deepEqual(getAnalysisSize(1000, 10, 'x'), { width: 96, height: 2 });
+});
+
+test('measureMotion profiles frame differences along the axis and ignores noise', () => {
+    const width = 8;
+    const height = 4;
+    const frames = [new Uint8Array(width * height), new Uint8Array(width * height), new Uint8Array(width * height)];
+    // Frame 1 lights columns 5 and 6 and adds noise everywhere else
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            frames[1][y * width + x] = x === 5 || x === 6 ? 200 : 5;
+        }
+    }
+    frames[2].set(frames[1]);
+
+    const samples = measureMotion(Buffer.concat(frames.map(frame => Buffer.from(frame))), width, height, 'x');
+
+    assert.equal(samples.length, 2);
+    assert.deepEqual(Array.from(samples[0].profile), [0, 0, 0, 0, 0, 800, 800, 0]);
+    assert.equal(samples[0].motion, 1600 / 32);
+    assert.equal(samples[0].time, 1 / ANALYSIS_FPS);
+    assert.equal(samples[1].total, 0);
+
+    const rows = measureMotion(Buffer.concat(frames.map(frame => Buffer.from(frame))), width, height, 'y');
+    assert.deepEqual(Array.from(rows[0].profile), [400, 400, 400, 400]);
+});
+
+test('planCropPath follows concentrated motion with high confidence', () => {
+    const samples = Array.from({ length: 12 }, (_, index) => sample(index, index < 6 ? block(20, 30) : block(60, 70)));
+    const { confidence, keyframes } = planCropPath(samples, 0.3);
+
+    assert.ok(confidence > 0.9, `confidence ${confidence}`);
+    // A keyframe every half second of analysis samples
+    assert.deepEqual(keyframes.map(keyframe => keyframe.time), [0, 0.75, 1.25, 1.75, 2.25, 2.75]);
+    assert.ok(Math.abs(keyframes[0].center - 0.25) < 0.01);
+    assert.ok(Math.abs(keyframes[keyframes.length - 1].center - 0.65) < 0.01);
+    // The smoothed path moves steadily from one subject to the other
+    keyframes.slice(1).forEach((keyframe, index) => assert.ok(keyframe.center >= keyframes[index].center));
+});
+
+test('planCropPath keeps the window inside the frame and fills leading still samples', () => {
+    const samples = [sample(0, block(0, 0)), sample(1, block(0, 0)), ...Array.from({ length: 6 }, (_, index) => sample(index + 2, block(0, 5)))];
+    const { keyframes } = planCropPath(samples, 0.4);
+
+    keyframes.forEach(keyframe => assert.equal(keyframe.center, 0.2));
+});
+
+test('planCropPath has no confidence without focused motion', () => {
+    assert.deepEqual(planCropPath([], 0.3), { confidence: 0, keyframes: [] });
+    assert.deepEqual(planCropPath([sample(0, block(0, 0)), sample(1, block(0, 0))], 0.3), { confidence: 0, keyframes: [] });
+
+    // Motion spread over the whole frame is no better than a centre crop
+    const spread = planCropPath(Array.from({ length: 8 }, (_, index) => sample(index, block(0, 100))), 0.3);
+    assert.ok(spread.confidence < 0.01, `confidence ${spread.confidence}`);
+
+    // Focused motion in only a few samples is trusted less
+    const brief = Array.from({ length: 8 }, (_, index) => sample(index, index === 3 ? block(20, 30) : block(0, 0)));
+    assert.ok(Math.abs(planCropPath(brief, 0.3).confidence - 0.25) < 0.01);
+});
+
+test('toCropCommands slides the crop between keyframes within the frame', () => {
+    const keyframes = [
+        { time: 0, center: 0.5 },
+        { time: 0.5, center: 0.75 },
+        { time: 1, center: 0.95 },
+        { time: 1.5, center: 0 }
+    ];
+
+    assert.equal(toCropCommands(keyframes, 'x', 1000, 200), [
+        '0 crop x 400+250*(t-0)/0.5;',
+        '0.5 crop x 650+150*(t-0.5)/0.5;',
+        '1 crop x 800-800*(t-1)/0.5;',
+        '1.5 crop x 0;'
+    ].join('\n'));
+    assert.equal(toCropCommands([{ time: 0, center: 0.5 }, { time: 2, center: 0.5 }], 'y', 1920, 1080, 'reframe'), '0 reframe y 420;\n2 reframe y 420;');
+});
@@ -0,0 +1,56 @@
+// vid.stab transforms parsing, shakiness and the transform settings
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SHAKINESS_THRESHOLD, parseTransforms, measureShakiness, getStabilizationSettings, buildTransformFilter } = require('../backend/stabilization');
+
+test('parseTransforms takes the median local motion of each frame', () => {
+    const text = [
+        'VID.STAB 1',
+        '#      accuracy = 15',
+        'Frame 1 (List 0 [])',
+        'Frame 2 (List 3 [(LM 4 -2 16 16 32 0.5 0.1),(LM 6 -1 48 16 32 0.6 0.1),(LM 100 0 80 16 32 0.2 0.1)])',
+        'Frame 3 (List 2 [(LM 2 0 16 16 32 0.5 0.1),(LM 4 2 48 16 32 0.5 0.1)])',
+        ''
+    ].join('\n');
+
+    assert.deepEqual(parseTransforms(text), [{ dx: 0, dy: 0 }, { dx: 6, dy: -1 }, { dx: 3, dy: 1 }]);
+    assert.deepEqual(parseTransforms(''), []);
+});
+
+test('measureShakiness ignores smooth camera moves', () => {
+    const pan = Array.from({ length: 40 }, () => ({ dx: 5, dy: 1 }));
+    assert.deepEqual(measureShakiness(pan, 1920), { shakiness: 0, frames: 40, threshold: SHAKINESS_THRESHOLD, shaky: false });
+    assert.deepEqual(measureShakiness([], 1920), { shakiness: 0, frames: 0, threshold: SHAKINESS_THRESHOLD, shaky: false });
+});
+
+test('measureShakiness reports jitter as a percentage of the frame width', () => {
+    assert.equal(measureShakiness([{ dx: 2, dy: 0 }, { dx: -2, dy: 0 }], 100).shakiness, 2);
+    assert.equal(measureShakiness([{ dx: 2, dy: 0 }, { dx: -2, dy: 0 }], 0).shakiness, 0);
+
+    const shaky = measureShakiness(Array.from({ length: 100 }, (_, index) => ({ dx: index % 2 ? 10 : -10, dy: 0 })), 1000);
+    assert.ok(Math.abs(shaky.shakiness - 1) < 0.1, `shakiness ${shaky.shakiness}`);
+    assert.equal(shaky.shaky, true);
+});
+
+test('getStabilizationSettings falls back to defaults and clamps the effect options', () => {
+    assert.deepEqual(getStabilizationSettings(), { smoothing: 15, zoom: 'static', crop: 'black', extraZoom: 0 });
+    assert.deepEqual(
+        getStabilizationSettings({ smoothing: '30.4', zoom: 'none', crop: 'keep', extraZoom: 5 }),
+        { smoothing: 30, zoom: 'none', crop: 'keep', extraZoom: 5 }
+    );
+    assert.deepEqual(
+        getStabilizationSettings({ smoothing: 500, zoom: 'huge', crop: 'blur', extraZoom: 80 }),
+        { smoothing: 100, zoom: 'static', crop: 'black', extraZoom: 20 }
+    );
+    assert.deepEqual(
+        getStabilizationSettings({ smoothing: -3, extraZoom: 'lots' }),
+        { smoothing: 15, zoom: 'static', crop: 'black', extraZoom: 0 }
+    );
+});
+
+test('buildTransformFilter maps the zoom mode and sharpens the result', () => {
+    assert.equal(
+        buildTransformFilter('transforms.trf', getStabilizationSettings({ zoom: 'adaptive', extraZoom: 2 })),
+        'vidstabtransform=input=transforms.trf:smoothing=15:optzoom=2:zoom=2:crop=black,unsharp=5:5:0.8:3:3:0.4'
+    );
+});
@@ -0,0 +1,74 @@
+// Uploaded subtitle parsing and mapping onto the edited timeline
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getSubtitleFormat, parseSubtitles, mapCuesToEdit } = require('../backend/subtitles');
+
+test('getSubtitleFormat goes by the file extension', () => {
+    assert.equal(getSubtitleFormat('Talk.SRT'), 'srt');
+    assert.equal(getSubtitleFormat('talk.vtt'), 'vtt');
+    assert.equal(getSubtitleFormat('talk.ssa'), 'ass');
+    assert.equal(getSubtitleFormat('talk.txt'), null);
+    assert.equal(getSubtitleFormat(undefined), null);
+});
+
+test('SRT cues are parsed with multi-line text and sorted by start', () => {
+    const srt = '\uFEFF2\r\n00:00:05,000 --> 00:00:06,500\r\nSecond\r\n\r\n1\r\n00:00:01,000 --> 00:00:02,250\r\nFirst line\r\nsecond line\r\n';
+    const { cues, errors } = parseSubtitles(srt, 'srt');
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(cues, [
+        { index: 1, start: 1, end: 2.25, text: 'First line\nsecond line' },
+        { index: 2, start: 5, end: 6.5, text: 'Second' }
+    ]);
+});
+
+test('invalid SRT cues are reported by cue number', () => {
+    const srt = '1\n00:00:01,000 --> 00:00:00,500\nBackwards\n\n2\n00:00:02,000 -> 00:00:03,000\nArrow\n\n3\n00:61:00,000 --> 00:62:00,000\nMinutes\n';
+    const { cues, errors } = parseSubtitles(srt, 'srt');
+
+    assert.equal(cues.length, 0);
+    assert.deepEqual(errors.map(error => error.cue), [1, 2, 3]);
+    assert.match(errors[0].message, /ends before it starts/);
+    assert.match(errors[1].message, /Missing timing line/);
+    assert.match(errors[2].message, /Malformed timestamp/);
+});
+
+test('VTT cues skip NOTE blocks, cue settings and markup', () => {
+    const vtt = 'WEBVTT\n\nNOTE written by hand\n\nintro\n00:01.000 --> 00:02.000 align:start\n<b>Hello</b> there\n\n00:00:03.000 --> 00:00:04.000\nBye\n';
+    const { cues, errors } = parseSubtitles(vtt, 'vtt');
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(cues.map(cue => [cue.start, cue.end, cue.text]), [[1, 2, 'Hello there'], [3, 4, 'Bye']]);
+    assert.deepEqual(parseSubtitles('00:01.000 --> 00:02.000\nHi\n', 'vtt').errors, [{ cue: 0, message: 'Missing WEBVTT header' }]);
+});
+
+test('ASS dialogue text keeps commas and drops override tags', () => {
+    const ass = [
+        '[Script Info]',
+        'Title: test',
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        'Dialogue: 0,0:00:01.50,0:00:03.00,Default,,0,0,0,,{\\b1}Well, hello\\Nthere'
+    ].join('\n');
+    const { cues, errors } = parseSubtitles(ass, 'ass');
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(cues, [{ index: 1, start: 1.5, end: 3, text: 'Well, hello\nthere' }]);
+    assert.equal(parseSubtitles('[Script Info]\nTitle: empty\n', 'ass').errors[0].message, 'No [Events] Dialogue lines found');
+});
+
+test('mapCuesToEdit moves cues onto the jump-cut timeline', () => {
+    const cues = [
+        { index: 1, start: 1, end: 2, text: 'kept' },
+        { index: 2, start: 4.5, end: 5.5, text: 'spans a cut' },
+        { index: 3, start: 6, end: 7, text: 'removed' }
+    ];
+    const keepRanges = [{ start: 0, end: 3 }, { start: 5, end: 6 }];
+
+    assert.deepEqual(mapCuesToEdit(cues, keepRanges).map(cue => [cue.text, cue.start, cue.end]), [
+        ['kept', 1, 2],
+        ['spans a cut', 3, 3.5]
+    ]);
+    assert.equal(mapCuesToEdit(cues, null), cues);
+});
@@ -0,0 +1,54 @@
+// Fitting an edit to a target length
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSegments, selectSegments, toEditTime, toSourceTime } = require('../backend/target-length');
+
+test('buildSegments drops boundaries too close together and splits long scenes', () => {
+    const segments = buildSegments([
+        { time: 24, confidence: 0.7 },
+        { time: 1, confidence: 0.9 },
+        { time: 5, confidence: 0.8 }
+    ], 25);
+
+    assert.deepEqual(segments, [
+        { start: 0, end: 5, sceneChange: 1 },
+        { start: 5, end: 11.667, sceneChange: 0.8 },
+        { start: 11.667, end: 18.333, sceneChange: 0 },
+        { start: 18.333, end: 25, sceneChange: 0 }
+    ]);
+});
+
+// Scored segments as selectSegments sees them
+const scored = [
+    { start: 0, end: 5, score: 0.9 },
+    { start: 5, end: 10, score: 0.2 },
+    { start: 10, end: 20, score: 0.5 },
+    { start: 20, end: 30, score: 0.7 }
+];
+
+test('selectSegments keeps the best segments that fit, in timeline order', () => {
+    const result = selectSegments(scored, 15);
+
+    assert.equal(result.duration, 15);
+    assert.equal(result.tolerance, 1);
+    assert.deepEqual(result.segments.map(segment => segment.start), [0, 20]);
+});
+
+test('selectSegments trims the next best segment to make up a shortfall', () => {
+    const result = selectSegments(scored, 8);
+
+    assert.equal(result.duration, 8);
+    assert.deepEqual(result.segments, [
+        { start: 0, end: 5, score: 0.9 },
+        { start: 20, end: 23, score: 0.7, trimmed: true }
+    ]);
+});
+
+test('toEditTime and toSourceTime map between the source and edited timelines', () => {
+    const keepRanges = [{ start: 0, end: 3 }, { start: 5, end: 6 }];
+
+    assert.deepEqual([1, 4, 5.5, 10].map(time => toEditTime(time, keepRanges)), [1, 3, 3.5, 4]);
+    assert.deepEqual([1, 3.5, 10].map(time => toSourceTime(time, keepRanges)), [1, 5.5, 6]);
+    assert.equal(toEditTime(7, null), 7);
+    assert.equal(toSourceTime(7, null), 7);
+});
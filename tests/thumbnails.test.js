@@ -0,0 +1,60 @@
+// Thumbnail candidate times, frame measurements and scoring
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getAnalysisSize, pickCandidateTimes, measureFrame, scoreCandidates, isCustomThumbnail } = require('../backend/thumbnails');
+
+test('getAnalysisSize scales frames down to even dimensions', () => {
+    assert.deepEqual(getAnalysisSize(1920, 1080), { width: 160, height: 90 });
+    assert.deepEqual(getAnalysisSize(1080, 1920), { width: 160, height: 284 });
+    assert.deepEqual(getAnalysisSize(), { width: 160, height: 90 });
+});
+
+test('pickCandidateTimes settles after each cut, spaces candidates out and tops up with even frames', () => {
+    assert.deepEqual(pickCandidateTimes([10, 0, 5, 6, 100], 60), [0.5, 5.5, 10.5, 13.333, 20, 26.667, 33.333, 40]);
+    assert.deepEqual(pickCandidateTimes([], 1), [0.111]);
+    assert.deepEqual(pickCandidateTimes([0], 0.4), [0]);
+});
+
+test('pickCandidateTimes thins out many scenes evenly', () => {
+    const starts = Array.from({ length: 20 }, (_, index) => index * 3);
+    assert.deepEqual(pickCandidateTimes(starts, 100), [0.5, 6.5, 15.5, 21.5, 30.5, 36.5, 45.5, 51.5]);
+});
+
+test('measureFrame reports brightness, contrast and sharpness', () => {
+    assert.deepEqual(measureFrame(Buffer.alloc(16, 100), 4, 4), { brightness: 100, contrast: 0, sharpness: 0 });
+
+    const checkerboard = Buffer.from(Array.from({ length: 16 }, (_, i) => ((i % 4) + Math.floor(i / 4)) % 2 ? 200 : 0));
+    assert.deepEqual(measureFrame(checkerboard, 4, 4), { brightness: 100, contrast: 100, sharpness: 640000 });
+
+    // A soft gradient has contrast but no edges
+    const gradient = Buffer.from(Array.from({ length: 16 }, (_, i) => (i % 4) * 20));
+    const soft = measureFrame(gradient, 4, 4);
+    assert.equal(soft.sharpness, 0);
+    assert.ok(soft.contrast > 0);
+});
+
+test('scoreCandidates prefers sharp, well exposed frames and rejects blank ones', () => {
+    const scored = scoreCandidates([
+        { time: 1, brightness: 64, contrast: 40, sharpness: 50 },
+        { time: 2, brightness: 128, contrast: 40, sharpness: 100 },
+        { time: 3, brightness: 250, contrast: 2, sharpness: 1 }
+    ]);
+
+    assert.deepEqual(scored.map(candidate => candidate.score), [0.5, 1, 0]);
+    assert.deepEqual(scored.map(candidate => candidate.selected), [false, true, false]);
+    assert.equal(scored[1].time, 2);
+});
+
+test('scoreCandidates selects the earliest of equal frames', () => {
+    const frame = { brightness: 128, contrast: 40, sharpness: 10 };
+    const scored = scoreCandidates([{ ...frame, time: 1 }, { ...frame, time: 2 }]);
+
+    assert.deepEqual(scored.map(candidate => candidate.selected), [true, false]);
+    assert.deepEqual(scoreCandidates([]), []);
+});
+
+test('isCustomThumbnail recognises uploaded thumbnails', () => {
+    assert.equal(isCustomThumbnail({ id: 'p1', thumbnail: 'thumbnail-p1-custom-123.jpg' }), true);
+    assert.equal(isCustomThumbnail({ id: 'p1', thumbnail: 'thumbnail-p1.jpg' }), false);
+    assert.equal(isCustomThumbnail({ id: 'p1', thumbnail: null }), false);
+});
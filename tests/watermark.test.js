@@ -0,0 +1,42 @@
+// Watermark policy per tier and the configured watermark settings
+process.env.DB_PATH = ':memory:';
+process.env.WATERMARK_POLICY = 'tiered';
+process.env.WATERMARK_OPACITY = '0';
+process.env.WATERMARK_SCALE = '2';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, subscriptionOperations } = require('../backend/database');
+const { getWatermarkPolicy, getWatermarkSettings } = require('../backend/watermark');
+
+// Create userId with an active subscription to planId
+function subscribe(userId, planId) {
+    const now = new Date().toISOString();
+    db.prepare('INSERT INTO users (id, username, email, passwordHash, createdAt) VALUES (?, ?, ?, ?, ?)')
+        .run(userId, userId, `${userId}@example.com`, 'hash', now);
+    subscriptionOperations.createUserSubscription.run(`sub-${userId}`, userId, planId, now, 50, now);
+}
+
+test('guests and users without a subscription are watermarked', () => {
+    assert.deepEqual(getWatermarkPolicy('guest___ffff_127_0_0_1'), { watermark: true, tier: 'guest' });
+    assert.deepEqual(getWatermarkPolicy(null), { watermark: true, tier: 'guest' });
+    assert.deepEqual(getWatermarkPolicy('user-free'), { watermark: true, tier: 'free' });
+});
+
+test('only plans with the "No Watermark" feature drop the watermark', () => {
+    db.prepare('INSERT INTO subscription_plans (id, name, description, price, videoLimit, features, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?)')
+        .run('starter', 'Starter Plan', 'Without watermark removal', 4.99, 5, JSON.stringify(['HD Quality']), new Date().toISOString());
+    subscribe('user-starter', 'starter');
+    subscribe('user-pro', 'pro');
+
+    assert.deepEqual(getWatermarkPolicy('user-starter'), { watermark: true, tier: 'starter' });
+    assert.deepEqual(getWatermarkPolicy('user-pro'), { watermark: false, tier: 'pro' });
+});
+
+test('configured opacity and scale keep 0 and are clamped', () => {
+    const settings = getWatermarkSettings();
+
+    assert.equal(settings.opacity, 0);
+    assert.equal(settings.scale, 0.5);
+    assert.equal(settings.position, 'bottom-right');
+});
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+// Load environment variables from root config.env if present
+try {
+    require('dotenv').config({ path: require('path').join(__dirname, 'config.env') });
+} catch (_) {}
+
+const { initializeDatabase } = require('./backend/database');
+
+console.log('🎞️ Starting Edit Quick AI Render Worker...');
+
+// Initialize database first
+try {
+    console.log('📊 Initializing database...');
+    initializeDatabase();
+    console.log('✅ Database initialized successfully');
+} catch (error) {
+    console.error('❌ Database initialization failed:', error);
+    process.exit(1);
+}
+
+const { RECOVERY_INTERVAL_MS, RenderWorker, recoverRenderJobs, sweepScratchWorkspaces } = require('./backend/render-worker');
+
+// Max concurrent renders: --concurrency=N or RENDER_CONCURRENCY (default 1)
+const concurrencyArg = process.argv.find(arg => arg.startsWith('--concurrency='));
+const concurrencyValue = concurrencyArg ? concurrencyArg.split('=')[1] : process.env.RENDER_CONCURRENCY;
+const concurrency = concurrencyValue === undefined || concurrencyValue.trim() === '' ? 1 : Number(concurrencyValue);
+if (!Number.isInteger(concurrency) || concurrency < 1) {
+    console.error(`❌ Invalid render concurrency "${concurrencyValue}": --concurrency and RENDER_CONCURRENCY must be a positive integer`);
+    process.exit(1);
+}
+
+// Recovery also runs here on an interval, so deployments without an API process still re-queue orphaned jobs
+sweepScratchWorkspaces();
+recoverRenderJobs();
+const recoveryTimer = setInterval(recoverRenderJobs, RECOVERY_INTERVAL_MS);
+const worker = new RenderWorker({ concurrency });
+worker.start();
+
+// On shutdown the running renders are stopped and handed back to the queue before exiting
+let stopping = false;
+const shutdown = async (signal) => {
+    if (stopping) return;
+    stopping = true;
+    console.log(`🛑 ${signal} received, stopping render worker ${worker.workerId}`);
+    clearInterval(recoveryTimer);
+    await worker.shutdown();
+    process.exit(0);
+};
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));